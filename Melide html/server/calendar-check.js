@@ -0,0 +1,109 @@
+/**
+ * Checks for the iCalendar generator in src/js/calendar.js
+ * Covers line folding, the VTIMEZONE block and the VALARM reminder; exits non-zero on the first failure.
+ *
+ * Usage: node server/calendar-check.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+const BookingCalendar = require('../src/js/calendar.js');
+
+const NOW = new Date(Date.UTC(2026, 10, 1, 9, 15, 0));
+
+const EVENT = {
+    uid: 'MEL-1@melide',
+    summary: 'მელიდე: თმის შეჭრა',
+    description: `ჯავშნის ნომერი: MEL-1; ${'დეტალები, '.repeat(10)}`,
+    location: 'Tbilisi, Georgia',
+    date: '2026-11-02',
+    time: '10:00',
+    duration: 30,
+    timezone: 'Asia/Tbilisi',
+    reminderMinutes: 120
+};
+
+/**
+ * Undo line folding (RFC 5545 section 3.1)
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+/**
+ * Lines from BEGIN:<name> to END:<name>
+ */
+function getBlock(lines, name) {
+    const start = lines.indexOf(`BEGIN:${name}`);
+    const end = lines.indexOf(`END:${name}`);
+    return start === -1 || end < start ? null : lines.slice(start, end + 1);
+}
+
+const checks = {
+    'folds lines at 75 octets without splitting characters'() {
+        const ics = BookingCalendar.createICS(EVENT, NOW);
+        const physicalLines = ics.split('\r\n').filter(Boolean);
+
+        assert.ok(ics.endsWith('\r\n'), 'file ends with CRLF');
+        assert.ok(physicalLines.some(line => line.startsWith(' ')), 'the long description is folded');
+
+        physicalLines.forEach(line => {
+            const bytes = Buffer.from(line, 'utf8');
+            assert.ok(bytes.length <= 75, `line is ${bytes.length} octets: ${line}`);
+            assert.strictEqual(bytes.toString('utf8'), line, 'no character is split across lines');
+        });
+
+        const description = unfold(ics).find(line => line.startsWith('DESCRIPTION:ჯავშნის'));
+        assert.strictEqual(description, `DESCRIPTION:ჯავშნის ნომერი: MEL-1\\; ${'დეტალები\\, '.repeat(10)}`);
+    },
+
+    'describes Asia/Tbilisi in a VTIMEZONE block'() {
+        const lines = unfold(BookingCalendar.createICS(EVENT, NOW));
+        const timezone = getBlock(lines, 'VTIMEZONE');
+
+        assert.ok(timezone, 'VTIMEZONE is present');
+        assert.ok(lines.indexOf('BEGIN:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'), 'VTIMEZONE comes before the event');
+        assert.ok(timezone.includes('TZID:Asia/Tbilisi'));
+        assert.ok(timezone.includes('TZOFFSETFROM:+0400'));
+        assert.ok(timezone.includes('TZOFFSETTO:+0400'));
+
+        assert.ok(lines.includes('DTSTART;TZID=Asia/Tbilisi:20261102T100000'));
+        assert.ok(lines.includes('DTEND;TZID=Asia/Tbilisi:20261102T103000'));
+        assert.ok(lines.includes('DTSTAMP:20261101T091500Z'));
+    },
+
+    'leaves out VTIMEZONE for unknown time zones'() {
+        const lines = unfold(BookingCalendar.createICS({ ...EVENT, timezone: 'Europe/Berlin' }, NOW));
+        assert.strictEqual(getBlock(lines, 'VTIMEZONE'), null);
+    },
+
+    'adds a VALARM reminder inside the event'() {
+        const lines = unfold(BookingCalendar.createICS(EVENT, NOW));
+        const alarm = getBlock(lines, 'VALARM');
+
+        assert.ok(alarm, 'VALARM is present');
+        assert.ok(getBlock(lines, 'VEVENT').includes('BEGIN:VALARM'), 'VALARM is nested in VEVENT');
+        assert.ok(alarm.includes('ACTION:DISPLAY'));
+        assert.ok(alarm.includes('TRIGGER:-PT120M'));
+    },
+
+    'leaves out VALARM without reminderMinutes'() {
+        const lines = unfold(BookingCalendar.createICS({ ...EVENT, reminderMinutes: 0 }, NOW));
+        assert.strictEqual(getBlock(lines, 'VALARM'), null);
+    }
+};
+
+let failures = 0;
+
+Object.keys(checks).forEach(name => {
+    try {
+        checks[name]();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`not ok - ${name}\n  ${error.message}`);
+    }
+});
+
+process.exitCode = failures ? 1 : 0;
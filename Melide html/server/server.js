@@ -0,0 +1,516 @@
+/**
+ * Local reference server
+ * Serves the static site and stores booking and contact requests in JSON files,
+ * so the whole submission flow can be tested offline. Also collects analytics
+ * events from src/js/analytics.js into events.json.
+ *
+ * Usage: node server/server.js
+ * Environment: PORT (default 8080), DATA_DIR (default server/data)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const BookingSchedule = require('../src/js/schedule.js');
+const PhoneNumber = require('../src/js/phone.js');
+
+const PORT = Number(process.env.PORT) || 8080;
+const SITE_ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const SCHEDULE_FILE = path.join(SITE_ROOT, 'src', 'data', 'schedule.json');
+const SERVICES_FILE = path.join(SITE_ROOT, 'src', 'data', 'services.json');
+const MAX_BODY_SIZE = 100 * 1024; // 100 KB is plenty for form submissions
+const MAX_EVENTS_PER_BATCH = 50;
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]*$/; // Same as src/js/analytics.js
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.ics': 'text/calendar; charset=utf-8'
+};
+
+// Server-side validation mirrors FORM_CONFIGS in src/js/validate.js.
+// Keys are form field names so errors map back onto the client form.
+const BOOKING_FIELDS = {
+    name: ['required', 'minLength:2', 'maxLength:100'],
+    email: ['required', 'email'],
+    phone: ['phone'],
+    service: ['required'],
+    date: ['required', 'date'],
+    time: ['required', 'time'],
+    notes: ['maxLength:500']
+};
+
+const CONTACT_FIELDS = {
+    name: ['required', 'minLength:2', 'maxLength:100'],
+    email: ['required', 'email'],
+    subject: ['maxLength:200'],
+    message: ['required', 'minLength:10', 'maxLength:1000']
+};
+
+const VALIDATION_RULES = {
+    required: {
+        test: (value) => value.trim().length > 0,
+        message: () => 'This field is required'
+    },
+    email: {
+        test: (value) => !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: () => 'Please enter a valid email address'
+    },
+    phone: {
+        test: (value) => !value || PhoneNumber.isValid(value),
+        message: () => 'Please enter a valid phone number'
+    },
+    minLength: {
+        test: (value, min) => !value || value.trim().length >= Number(min),
+        message: (min) => `Must be at least ${min} characters long`
+    },
+    maxLength: {
+        test: (value, max) => !value || value.trim().length <= Number(max),
+        message: (max) => `Must be no more than ${max} characters long`
+    },
+    date: {
+        // "Today" in the schedule's timezone; the upper limit is checked in checkBookingSlot
+        test: (value) => !value || (/^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            value >= BookingSchedule.getBookingWindow({}, readJsonFile(SCHEDULE_FILE)).min),
+        message: () => 'Please select a date from today onwards'
+    },
+    time: {
+        test: (value) => !value || /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+        message: () => 'Please select a valid time'
+    }
+};
+
+const ROUTES = {
+    'GET /api/availability': handleAvailability,
+    'POST /api/bookings': (req, res) => handleSubmission(req, res, BOOKING_FIELDS, 'bookings.json', 'MEL', checkBookingSlot),
+    'POST /api/contact': (req, res) => handleSubmission(req, res, CONTACT_FIELDS, 'messages.json', 'MSG'),
+    'POST /api/events': handleEvents
+};
+
+/**
+ * Route incoming requests
+ */
+function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = ROUTES[`${req.method} ${url.pathname}`];
+
+    if (route) {
+        route(req, res, url);
+    } else if (url.pathname.startsWith('/api/')) {
+        sendJson(res, 404, { ok: false, message: 'Not found' });
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res, url.pathname);
+    } else {
+        sendJson(res, 405, { ok: false, message: 'Method not allowed' });
+    }
+}
+
+/**
+ * Report free and taken time slots for a date, based on the schedule and stored bookings
+ */
+function handleAvailability(req, res, url) {
+    const date = url.searchParams.get('date') || '';
+    const service = url.searchParams.get('service') || '';
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        sendJson(res, 400, { ok: false, message: 'A date in YYYY-MM-DD format is required' });
+        return;
+    }
+
+    try {
+        const schedule = readJsonFile(SCHEDULE_FILE);
+        const services = readJsonFile(SERVICES_FILE).services;
+
+        sendJson(res, 200, {
+            date,
+            service,
+            closed: BookingSchedule.isClosedDay(date, schedule),
+            slots: BookingSchedule.getSlots(date, {
+                duration: getSlotDuration(services, service),
+                booked: getBookedRanges(date, services)
+            }, schedule)
+        });
+    } catch (error) {
+        console.error('Error computing availability:', error);
+        sendJson(res, 500, { ok: false, message: 'Internal server error' });
+    }
+}
+
+/**
+ * Validate and store a form submission
+ * A repeated Idempotency-Key (a client retry after a lost response) answers with the stored record
+ */
+function handleSubmission(req, res, fields, fileName, idPrefix, checkRecord) {
+    const idempotencyKey = getIdempotencyKey(req);
+
+    readJsonBody(req)
+        .then((body) => {
+            const stored = idempotencyKey && readRecords(fileName).find(record => record.idempotencyKey === idempotencyKey);
+            if (stored) {
+                sendJson(res, 200, { ok: true, id: stored.id });
+                return;
+            }
+
+            const { data, errors } = validate(body, fields);
+
+            // Record-level checks only run once every field is valid on its own
+            if (checkRecord && Object.keys(errors).length === 0) {
+                Object.assign(errors, checkRecord(data));
+            }
+
+            if (Object.keys(errors).length > 0) {
+                sendJson(res, 422, { ok: false, message: 'Validation failed', errors });
+                return;
+            }
+
+            const record = {
+                id: createId(idPrefix),
+                receivedAt: new Date().toISOString(),
+                ...data
+            };
+
+            if (idempotencyKey) {
+                record.idempotencyKey = idempotencyKey;
+            }
+
+            // Keep what the visitor typed and a normalized number (the client's copy is not trusted)
+            if (data.phone) {
+                record.phoneE164 = PhoneNumber.toE164(data.phone);
+            }
+
+            appendRecord(fileName, record);
+            console.log(`Stored ${record.id} in ${fileName}`);
+
+            sendJson(res, 201, { ok: true, id: record.id });
+        })
+        .catch((error) => {
+            sendJson(res, error.status || 500, { ok: false, message: error.status ? error.message : 'Internal server error' });
+
+            if (!error.status) {
+                console.error('Error handling submission:', error);
+            }
+        });
+}
+
+/**
+ * Store a batch of analytics events sent with sendBeacon
+ * Events with an invalid name are dropped; nothing about the sender (IP, user agent) is kept
+ */
+function handleEvents(req, res) {
+    readJsonBody(req)
+        .then((body) => {
+            if (!Array.isArray(body.events) || body.events.length > MAX_EVENTS_PER_BATCH) {
+                sendJson(res, 400, { ok: false, message: `Expected an events array of up to ${MAX_EVENTS_PER_BATCH} events` });
+                return;
+            }
+
+            const receivedAt = new Date().toISOString();
+            const events = body.events
+                .filter(event => event && typeof event.name === 'string' && EVENT_NAME_PATTERN.test(event.name))
+                .map(event => ({
+                    name: event.name,
+                    properties: sanitizeEventProperties(event.properties),
+                    page: typeof event.page === 'string' ? event.page.slice(0, 200) : '',
+                    language: typeof event.language === 'string' ? event.language.slice(0, 10) : '',
+                    timestamp: typeof event.timestamp === 'string' ? event.timestamp.slice(0, 40) : '',
+                    receivedAt
+                }));
+
+            if (events.length) {
+                const records = readRecords('events.json');
+                records.push(...events);
+                writeRecords('events.json', records);
+            }
+
+            sendJson(res, 202, { ok: true, received: events.length });
+        })
+        .catch((error) => {
+            sendJson(res, error.status || 500, { ok: false, message: error.status ? error.message : 'Internal server error' });
+
+            if (!error.status) {
+                console.error('Error handling events:', error);
+            }
+        });
+}
+
+/**
+ * Keep primitive event properties only, mirroring the client
+ */
+function sanitizeEventProperties(properties) {
+    const clean = {};
+    if (!properties || typeof properties !== 'object') return clean;
+
+    Object.keys(properties).forEach(key => {
+        const value = properties[key];
+
+        if (value === null || typeof value === 'number' || typeof value === 'boolean') {
+            clean[key] = value;
+        } else if (typeof value === 'string') {
+            clean[key] = value.slice(0, 100);
+        }
+    });
+
+    return clean;
+}
+
+/**
+ * Read the Idempotency-Key header sent by src/js/submit.js (ignored when malformed)
+ */
+function getIdempotencyKey(req) {
+    const key = req.headers['idempotency-key'];
+    return typeof key === 'string' && /^[\w-]{8,100}$/.test(key) ? key : null;
+}
+
+/**
+ * Make sure a booking lands on an open day and a free slot
+ */
+function checkBookingSlot(data) {
+    const schedule = readJsonFile(SCHEDULE_FILE);
+    const services = readJsonFile(SERVICES_FILE).services;
+
+    if (!services.some(service => service.id === data.service && service.bookable)) {
+        return { service: 'Please select one of our services' };
+    }
+
+    if (!BookingSchedule.isWithinBookingWindow(data.date, {}, schedule)) {
+        return { date: `Bookings can be made up to ${schedule.maxAdvanceDays} days ahead` };
+    }
+
+    if (BookingSchedule.isClosedDay(data.date, schedule)) {
+        return { date: 'We are closed on this day, please choose another date' };
+    }
+
+    const slot = BookingSchedule.getSlots(data.date, {
+        duration: getSlotDuration(services, data.service),
+        booked: getBookedRanges(data.date, services)
+    }, schedule).find(candidate => candidate.time === data.time);
+
+    if (!slot || !slot.available) {
+        return { time: 'This time is no longer available, please choose another one' };
+    }
+
+    return {};
+}
+
+/**
+ * Time ranges blocked by stored bookings on a date
+ */
+function getBookedRanges(date, services) {
+    return readRecords('bookings.json')
+        .filter(booking => booking.date === date)
+        .map(booking => ({
+            time: booking.time,
+            duration: getSlotDuration(services, booking.service)
+        }));
+}
+
+/**
+ * Minutes a service blocks in the schedule (duration plus buffer time)
+ */
+function getSlotDuration(services, id) {
+    const service = services.find(candidate => candidate.id === id);
+    return service ? service.duration + (service.bufferTime || 0) : null;
+}
+
+/**
+ * Validate request body against field rules
+ * Unknown fields are dropped, known fields are trimmed strings
+ */
+function validate(body, fields) {
+    const data = {};
+    const errors = {};
+
+    Object.keys(fields).forEach(name => {
+        const value = typeof body[name] === 'string' ? body[name].trim() : '';
+        data[name] = value;
+
+        for (const rule of fields[name]) {
+            const [ruleName, param] = rule.split(':');
+            const ruleConfig = VALIDATION_RULES[ruleName];
+
+            if (!ruleConfig.test(value, param)) {
+                errors[name] = ruleConfig.message(param);
+                break; // Stop at first validation error
+            }
+        }
+    });
+
+    return { data, errors };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(createHttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('Body must be a JSON object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(createHttpError(400, 'Invalid JSON body'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a JSON file from disk (site data is read on every request so edits apply immediately)
+ */
+function readJsonFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Append a record to a JSON array file in the data directory
+ */
+function appendRecord(fileName, record) {
+    const records = readRecords(fileName);
+    records.push(record);
+    writeRecords(fileName, records);
+}
+
+/**
+ * Read records from a JSON array file
+ */
+function readRecords(fileName) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Write records atomically so a crash never leaves a half-written file
+ */
+function writeRecords(fileName, records) {
+    const filePath = path.join(DATA_DIR, fileName);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Serve a file from the site root
+ */
+function serveStatic(req, res, pathname) {
+    let filePath;
+
+    try {
+        filePath = path.join(SITE_ROOT, path.normalize(decodeURIComponent(pathname)));
+    } catch (error) {
+        sendNotFound(res);
+        return;
+    }
+
+    // Never serve files outside the site or the server's own files and data
+    const isInsideSite = filePath === SITE_ROOT || filePath.startsWith(SITE_ROOT + path.sep);
+    const isServerFile = filePath === __dirname || filePath.startsWith(__dirname + path.sep);
+    if (!isInsideSite || isServerFile) {
+        sendNotFound(res);
+        return;
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (!error && stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (readError, content) => {
+            if (readError) {
+                sendNotFound(res);
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(req.method === 'HEAD' ? undefined : content);
+        });
+    });
+}
+
+/**
+ * Send the site's 404 page
+ */
+function sendNotFound(res) {
+    fs.readFile(path.join(SITE_ROOT, 'pages', '404.html'), (error, content) => {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+        res.end(error ? 'Not found' : content);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create an error carrying an HTTP status
+ */
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Create a short human-readable reference, e.g. MEL-20240315-4F7A
+ */
+function createId(prefix) {
+    const date = today().replace(/-/g, '');
+    const random = Math.floor(Math.random() * 0xffff).toString(16).toUpperCase().padStart(4, '0');
+    return `${prefix}-${date}-${random}`;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ */
+function today() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+http.createServer(handleRequest).listen(PORT, () => {
+    console.log(`Melide reference server running at http://localhost:${PORT}`);
+    console.log(`Storing submissions in ${DATA_DIR}`);
+});
@@ -0,0 +1,243 @@
+/**
+ * Booking funnel analytics
+ * Collects named events (booking_started, lightbox_opened...) and sends them in batches with sendBeacon.
+ * Nothing is sent when Do Not Track is on or without consent for the analytics category,
+ * and events never carry form field contents, cookies or visitor identifiers.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration object - change with Analytics.updateConfig
+    const ANALYTICS_CONFIG = {
+        endpoint: '/api/events', // Local collector in server/server.js
+        batchSize: 10,
+        flushInterval: 5000, // ms to wait for more events before sending a batch
+        maxQueueSize: 100, // Oldest events are dropped beyond this while waiting for consent
+        maxValueLength: 100,
+        consentCategory: 'analytics',
+        respectDoNotTrack: true
+    };
+
+    // Event names are snake_case, e.g. booking_started
+    const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+    // State
+    let queue = [];
+    let flushTimer = null;
+    let isPageHidden = false;
+
+    /**
+     * Initialize analytics
+     */
+    function init() {
+        try {
+            document.addEventListener('consent:changed', handleConsentChange);
+
+            // Send what is queued before the page goes away; events tracked after this
+            // (e.g. an abandoned form on pagehide) are sent right away
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    handlePageHide();
+                } else {
+                    isPageHidden = false;
+                }
+            });
+            window.addEventListener('pagehide', handlePageHide);
+            window.addEventListener('pageshow', () => {
+                isPageHidden = false;
+            });
+        } catch (error) {
+            console.error('Error initializing analytics:', error);
+        }
+    }
+
+    /**
+     * Record an event
+     * Properties must be strings, numbers, booleans or null; anything else is dropped,
+     * so never pass form values or elements
+     */
+    function track(name, properties = {}) {
+        if (typeof name !== 'string' || !EVENT_NAME_PATTERN.test(name)) {
+            throw new TypeError(`Analytics event name must be snake_case, got "${name}"`);
+        }
+
+        if (isDoNotTrackEnabled() || getConsentState() === 'denied') return;
+
+        queue.push({
+            name,
+            properties: sanitizeProperties(name, properties),
+            page: window.location.pathname,
+            language: window.I18n ? window.I18n.getLanguage() : document.documentElement.lang,
+            timestamp: new Date().toISOString()
+        });
+
+        if (queue.length > ANALYTICS_CONFIG.maxQueueSize) {
+            queue.splice(0, queue.length - ANALYTICS_CONFIG.maxQueueSize);
+        }
+
+        if (isPageHidden || queue.length >= ANALYTICS_CONFIG.batchSize) {
+            flush();
+        } else {
+            scheduleFlush();
+        }
+    }
+
+    /**
+     * Keep only primitive property values and cap string length
+     */
+    function sanitizeProperties(name, properties) {
+        const clean = {};
+
+        Object.keys(properties || {}).forEach(key => {
+            const value = properties[key];
+
+            if (value === null || typeof value === 'number' || typeof value === 'boolean') {
+                clean[key] = value;
+            } else if (typeof value === 'string') {
+                clean[key] = value.slice(0, ANALYTICS_CONFIG.maxValueLength);
+            } else if (value !== undefined) {
+                console.warn(`Dropping non-primitive property "${key}" from analytics event "${name}"`);
+            }
+        });
+
+        return clean;
+    }
+
+    /**
+     * Send queued events once the flush interval passes
+     */
+    function scheduleFlush() {
+        if (flushTimer) return;
+
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, ANALYTICS_CONFIG.flushInterval);
+    }
+
+    /**
+     * Send queued events now
+     * Events wait in the queue until the visitor has made a consent choice
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        if (!queue.length || getConsentState() !== 'granted' || !ANALYTICS_CONFIG.endpoint) return;
+
+        while (queue.length) {
+            send(queue.splice(0, ANALYTICS_CONFIG.batchSize));
+        }
+    }
+
+    /**
+     * Send one batch, falling back to a keepalive fetch where sendBeacon is missing or refuses it
+     */
+    function send(events) {
+        // text/plain keeps the beacon a simple request, so another origin needs no CORS preflight
+        const body = JSON.stringify({ events });
+
+        try {
+            const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon && navigator.sendBeacon(ANALYTICS_CONFIG.endpoint, blob)) return;
+        } catch (error) {
+            // Fall through to fetch
+        }
+
+        if (!window.fetch) return;
+
+        fetch(ANALYTICS_CONFIG.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body,
+            keepalive: true,
+            credentials: 'omit'
+        }).catch(() => {
+            // Analytics must never get in the visitor's way
+        });
+    }
+
+    /**
+     * Flush when the page is hidden or unloaded
+     */
+    function handlePageHide() {
+        isPageHidden = true;
+        flush();
+    }
+
+    /**
+     * Send waiting events once consent is given, forget them when it is refused
+     */
+    function handleConsentChange() {
+        const state = getConsentState();
+
+        if (state === 'granted') {
+            flush();
+        } else if (state === 'denied') {
+            queue = [];
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+    }
+
+    /**
+     * 'granted', 'denied' or 'pending' (no choice made yet)
+     * Without the consent manager on the page nothing is sent
+     */
+    function getConsentState() {
+        const consentManager = window.ConsentManager;
+        if (!consentManager) return 'denied';
+        if (consentManager.has(ANALYTICS_CONFIG.consentCategory)) return 'granted';
+
+        return consentManager.getConsent() ? 'denied' : 'pending';
+    }
+
+    /**
+     * Check the browser's Do Not Track and Global Privacy Control signals
+     */
+    function isDoNotTrackEnabled() {
+        if (!ANALYTICS_CONFIG.respectDoNotTrack) return false;
+
+        const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * Whether events are currently being sent
+     */
+    function isEnabled() {
+        return !isDoNotTrackEnabled() && getConsentState() === 'granted';
+    }
+
+    /**
+     * Update analytics configuration
+     */
+    function updateConfig(newConfig) {
+        Object.assign(ANALYTICS_CONFIG, newConfig);
+    }
+
+    /**
+     * Get current configuration
+     */
+    function getConfig() {
+        return { ...ANALYTICS_CONFIG };
+    }
+
+    // Export public API
+    window.Analytics = {
+        track,
+        flush,
+        isEnabled,
+        updateConfig,
+        getConfig
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
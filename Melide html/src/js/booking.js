@@ -1,6 +1,6 @@
 /**
  * Booking System Integration
- * Handles Setmore integration and internal booking form functionality
+ * Handles booking providers (Setmore, the internal booking form or registered adapters) and internal booking form functionality
  */
 
 (function() {
@@ -8,17 +8,86 @@
 
     // Configuration object - customize this to change booking behavior
     const BOOKING_CONFIG = {
-        provider: "setmore", // "setmore" | "internal"
+        provider: "setmore", // "setmore" | "internal" | any name added with BookingManager.registerProvider
         setmoreUrl: "https://daixmarededa.setmore.com/book", // Replace with your Setmore URL
+        setmoreScriptUrl: "https://assets.setmore.com/integration/static/setmoreIframeLive.js",
         internalRoute: "/pages/booking.html",
+        fallbackProviders: ["internal", "contact"], // Tried in order when the provider fails to load
+        healthCheck: true, // Check a provider is reachable before loading it (skipped for the last fallback)
         scriptTimeout: 10000, // 10 seconds timeout for script loading
-        retryAttempts: 3
+        retryAttempts: 3,
+        submitEndpoint: "/api/bookings", // Internal booking form POST target
+        submitTimeout: 15000, // 15 seconds timeout per submit attempt
+        submitRetries: 2,
+        availabilityEndpoint: "/api/availability", // Set to null to use only the bundled schedule
+        scheduleUrl: "/src/data/schedule.json",
+        stepMode: true, // Show the internal form as a step-by-step wizard
+        calendar: {
+            title: "მელიდე", // Used until the language bundle with common.brand has loaded
+            location: "123 Business Avenue, Suite 100, City, State 12345", // Keep in sync with pages/contact.html
+            timezone: "Asia/Tbilisi",
+            reminderMinutes: 120 // Alarm 2 hours before the appointment
+        }
+    };
+
+    // Heights reported by provider iframes are kept within these bounds (pixels)
+    const IFRAME_CONFIG = {
+        minHeight: 400,
+        maxHeight: 4000
     };
 
+    // Setmore's generic scheduling URL, used before a business URL is configured
+    const SETMORE_PLACEHOLDER_URL = 'https://booking.setmore.com/scheduleappointment/services';
+
     // State management
-    let isScriptLoaded = false;
-    let scriptLoadAttempts = 0;
-    let setmoreWidget = null;
+    let isInternalFormReady = false;
+    let isSubmitting = false;
+    let availabilityRequestId = 0;
+
+    // Booking provider state: the fallback chain being worked through and the provider shown
+    let providerChain = [];
+    let providerIndex = 0;
+    let activeProvider = null;
+    let consentPlaceholder = null;
+    let widgetLoadId = 0;
+
+    // Provider names by the URL of the scripts they loaded
+    const providerScripts = new Map();
+
+    // Step mode state
+    let bookingSteps = [];
+    let currentStepIndex = 0;
+    let isValidatingStep = false;
+    let isConfirmed = false;
+    let confirmedBooking = null; // { result, bookingData } shown in the confirmation view
+    let calendarFileUrl = null;
+
+    // Funnel analytics state
+    let isPageViewTracked = false;
+    let isFormStarted = false;
+
+    // booking:completed listeners added through BookingManager.addEventListener
+    const bookingEvents = new EventTarget();
+
+    // Submission pipeline hooks registered through BookingManager
+    const submitHooks = {
+        beforeSubmit: [],
+        afterSubmit: [],
+        onError: []
+    };
+
+    /**
+     * Booking provider adapters by name (see registerProvider)
+     * Each adapter implements:
+     *   load(context)              -> Promise, fetch scripts or other resources
+     *   embed(container, context)  -> render the booking UI on the booking page
+     *   open(context)              -> start booking from any page (floating button)
+     *   teardown(container, context) -> remove what embed added
+     *   health(context)            -> Promise<boolean>, whether the provider is reachable
+     *   getUrl(context)            -> optional external booking page, used for the fallback link
+     * and may set consentCategory (see consent.js) and displayName for third-party providers
+     */
+    const providers = {};
 
     /**
      * Initialize booking system
@@ -26,7 +95,7 @@
     function init() {
         try {
             setupFloatingButtonHandler();
-            
+
             // Only initialize booking widget if we're on the booking page
             if (isBookingPage()) {
                 initializeBookingWidget();
@@ -58,64 +127,420 @@
      */
     function handleBookingClick(e) {
         e.preventDefault();
-        
-        if (BOOKING_CONFIG.provider === 'setmore') {
-            openSetmoreBooking();
-        } else {
-            openInternalBooking();
-        }
+
+        // On the booking page, whichever provider the fallback chain ended up on handles it
+        const name = isBookingPage() && activeProvider ? providerChain[providerIndex] : getProviderName();
+        track('booking_started', { provider: name, source: e.currentTarget.id || null });
+        providers[name].open(createProviderContext(name));
     }
 
     /**
      * Initialize booking widget on booking page
+     * Works through the provider and its fallbacks (BOOKING_CONFIG.fallbackProviders) until one loads
      */
     function initializeBookingWidget() {
-        if (BOOKING_CONFIG.provider === 'setmore') {
-            loadSetmoreWidget();
-        } else {
-            showInternalBookingForm();
+        const names = [getProviderName(), ...(BOOKING_CONFIG.fallbackProviders || [])];
+
+        providerChain = names.filter((name, index) => {
+            if (!providers[name]) {
+                console.warn(`Unknown booking fallback provider "${name}"`);
+                return false;
+            }
+            return names.indexOf(name) === index;
+        });
+
+        // Retries and provider switches run this again but are not another visit
+        if (!isPageViewTracked) {
+            isPageViewTracked = true;
+            track('booking_page_viewed', { provider: providerChain[0] || null });
         }
+
+        activateProvider(0);
     }
 
     /**
-     * Load Setmore widget
+     * Load and embed the provider at an index of the fallback chain
      */
-    function loadSetmoreWidget() {
-        const setmoreContainer = document.getElementById('setmore-booking-container');
-        const internalContainer = document.getElementById('internal-booking-container');
-        const fallbackContainer = document.getElementById('booking-fallback');
-        
-        if (!setmoreContainer) return;
+    function activateProvider(index) {
+        const name = providerChain[index];
+        const provider = providers[name];
+        const container = getWidgetContainer();
+        const loadId = ++widgetLoadId;
+        const context = createProviderContext(name, (error) => {
+            // An embedded provider reporting a failure later moves on as well
+            if (loadId === widgetLoadId) {
+                handleProviderFailure(index, error);
+            }
+        });
+
+        teardownActiveProvider();
+        activeProvider = provider;
+        providerIndex = index;
+
+        // Third-party providers wait behind a click-to-load placeholder until consent is given
+        const category = provider.consentCategory;
+        if (category && window.ConsentManager && !window.ConsentManager.has(category)) {
+            showConsentPlaceholder(index);
+            window.ConsentManager.whenGranted(category).then(() => {
+                if (loadId === widgetLoadId) {
+                    activateProvider(index);
+                }
+            });
+            return;
+        }
 
         showLoadingState();
 
-        // Try to load Setmore script
-        loadSetmoreScript()
+        // Nothing is left to fall back to from the last provider, so it is not health checked
+        const isLastProvider = index === providerChain.length - 1;
+        const healthCheck = BOOKING_CONFIG.healthCheck && !isLastProvider
+            ? checkProviderHealth(name)
+            : Promise.resolve(true);
+
+        healthCheck
+            .then((isHealthy) => {
+                if (!isHealthy) {
+                    throw new Error('Health check failed');
+                }
+                return provider.load(context);
+            })
             .then(() => {
+                // Ignore a slow load for a provider that has since been replaced
+                if (loadId !== widgetLoadId) return;
+
                 hideLoadingState();
-                embedSetmoreWidget();
+                return provider.embed(container, context);
             })
-            .catch((error) => {
-                console.error('Failed to load Setmore script:', error);
-                hideLoadingState();
-                showSetmoreFallback();
+            .catch((error) => context.fail(error));
+    }
+
+    /**
+     * Ask for consent in place of the provider, offering the next provider in the chain instead
+     */
+    function showConsentPlaceholder(index) {
+        const container = getWidgetContainer();
+        const provider = providers[providerChain[index]];
+        if (!container) return;
+
+        hideLoadingState();
+
+        const actions = index + 1 < providerChain.length
+            ? [{ label: t('booking.useAlternative'), onClick: () => activateProvider(index + 1) }]
+            : [];
+
+        consentPlaceholder = window.ConsentManager.createPlaceholder({
+            category: provider.consentCategory,
+            provider: provider.displayName || providerChain[index],
+            actions
+        });
+        container.appendChild(consentPlaceholder);
+    }
+
+    /**
+     * Move on to the next provider in the fallback chain
+     */
+    function handleProviderFailure(index, error) {
+        console.error(`Failed to load booking provider "${providerChain[index]}":`, error);
+        hideLoadingState();
+
+        track('booking_provider_failed', {
+            provider: providerChain[index],
+            fallback: providerChain[index + 1] || null
+        });
+
+        if (index + 1 >= providerChain.length) return;
+
+        activateProvider(index + 1);
+
+        // The contact card at the end of the chain has its own "try again" button
+        if (index + 1 < providerChain.length - 1 && window.MainApp && window.MainApp.showToast) {
+            window.MainApp.showToast(t('booking.providerFallback'), 'info', {
+                actions: [{ label: t('toast.retry'), onClick: retryBookingWidget }]
             });
+        }
+    }
+
+    /**
+     * Start over from the configured provider
+     */
+    function retryBookingWidget() {
+        if (!isBookingPage()) return;
+
+        initializeBookingWidget();
+        announce(t('booking.retrying'));
+    }
+
+    /**
+     * Remove the embedded booking UI of the current provider
+     */
+    function teardownActiveProvider() {
+        if (consentPlaceholder) {
+            consentPlaceholder.remove();
+            consentPlaceholder = null;
+        }
+
+        if (!activeProvider) return;
+
+        const provider = activeProvider;
+        const name = providerChain[providerIndex];
+        activeProvider = null;
+
+        try {
+            provider.teardown(getWidgetContainer(), createProviderContext(name));
+        } catch (error) {
+            console.error('Error tearing down booking provider:', error);
+        }
+    }
+
+    /**
+     * Name of the configured provider, falling back to the internal form
+     */
+    function getProviderName() {
+        if (!providers[BOOKING_CONFIG.provider]) {
+            console.warn(`Unknown booking provider "${BOOKING_CONFIG.provider}", using the internal form`);
+            return 'internal';
+        }
+
+        return BOOKING_CONFIG.provider;
+    }
+
+    /**
+     * Context passed to provider adapters
+     * fail(error) lets an adapter hand over to the next fallback after it has been embedded,
+     * complete(data) reports a finished booking (see emitBookingCompleted)
+     */
+    function createProviderContext(name, fail = () => {}) {
+        return {
+            name,
+            config: getConfig(),
+            isBookingPage: isBookingPage(),
+            loadScript: (src) => loadScript(src, name),
+            fail,
+            complete: (data) => emitBookingCompleted({ provider: name, data: data || {} })
+        };
+    }
+
+    /**
+     * Container the widget of an embedded provider is rendered into
+     */
+    function getWidgetContainer() {
+        return document.getElementById('setmore-booking-container');
+    }
+
+    /**
+     * Register a booking provider adapter (see providers above), returns a function that removes it
+     * Only embed and open are required; load, teardown and health default to no-ops
+     */
+    function registerProvider(name, adapter) {
+        if (!name || typeof name !== 'string') {
+            throw new TypeError('Booking provider name must be a non-empty string');
+        }
+
+        if (!adapter || typeof adapter.embed !== 'function' || typeof adapter.open !== 'function') {
+            throw new TypeError(`Booking provider "${name}" must implement embed and open`);
+        }
+
+        const provider = {
+            load: () => Promise.resolve(),
+            teardown: () => {},
+            health: () => Promise.resolve(true),
+            ...adapter
+        };
+        providers[name] = provider;
+
+        return () => {
+            if (providers[name] === provider) {
+                delete providers[name];
+            }
+        };
+    }
+
+    /**
+     * Ask a provider whether it is reachable, resolves false for unknown providers and failed checks
+     */
+    function checkProviderHealth(name = BOOKING_CONFIG.provider) {
+        const provider = providers[name];
+        if (!provider) return Promise.resolve(false);
+
+        return Promise.resolve()
+            .then(() => provider.health(createProviderContext(name)))
+            .then(Boolean)
+            .catch(() => false);
+    }
+
+    /**
+     * Create an adapter for a provider embedded as an iframe (Setmore, Calendly, Cal.com...)
+     * Options: url and scriptUrl (strings or functions of the booking config; scriptUrl is optional),
+     * title (iframe title), allow (iframe permissions), parseMessage (turns the provider's
+     * postMessage data into { height } or { completed: true, data }, see parseProviderMessage),
+     * name (shown on the consent placeholder), consentCategory (defaults to "functional")
+     */
+    function createIframeProvider(options) {
+        const resolveOption = (value, context) => (typeof value === 'function' ? value(context.config) : value);
+        const getUrl = (context) => resolveOption(options.url, context);
+        const parseMessage = options.parseMessage || parseProviderMessage;
+        let iframe = null;
+        let handleMessage = null;
+
+        return {
+            displayName: options.name,
+            consentCategory: options.consentCategory !== undefined ? options.consentCategory : 'functional',
+
+            load(context) {
+                const scriptUrl = resolveOption(options.scriptUrl, context);
+                return scriptUrl ? context.loadScript(scriptUrl) : Promise.resolve();
+            },
+
+            embed(container, context) {
+                if (!container) return;
+
+                const url = getUrl(context);
+
+                // Create provider iframe, sized by CSS until the provider reports its height
+                iframe = document.createElement('iframe');
+                iframe.className = 'booking-iframe';
+                iframe.src = url;
+                iframe.title = options.title || 'Book Appointment';
+                if (options.allow) {
+                    iframe.allow = options.allow;
+                }
+
+                const frame = iframe;
+                const origin = new URL(url, window.location.href).origin;
+
+                handleMessage = (e) => {
+                    // Only trust messages from this iframe and the provider's origin
+                    if (e.source !== frame.contentWindow || e.origin !== origin) return;
+
+                    const message = parseMessage(e.data);
+                    if (!message) return;
+
+                    if (message.height) {
+                        resizeIframe(frame, message.height);
+                    }
+
+                    if (message.completed) {
+                        context.complete(message.data);
+                    }
+                };
+                window.addEventListener('message', handleMessage);
+
+                container.style.display = '';
+                container.appendChild(iframe);
+
+                // Setup fallback link
+                setupFallbackLink(url);
+            },
+
+            open(context) {
+                // If we're on booking page and the widget is embedded, scroll to it
+                if (context.isBookingPage && iframe && iframe.isConnected) {
+                    iframe.scrollIntoView({ behavior: 'smooth' });
+                    return;
+                }
+
+                // Otherwise, open in new window or redirect to booking page
+                const url = getUrl(context);
+                if (url) {
+                    window.open(url, '_blank', 'width=800,height=600');
+                } else {
+                    window.location.href = context.config.internalRoute;
+                }
+            },
+
+            teardown() {
+                if (handleMessage) {
+                    window.removeEventListener('message', handleMessage);
+                    handleMessage = null;
+                }
+
+                if (iframe) {
+                    iframe.remove();
+                    iframe = null;
+                }
+            },
+
+            health(context) {
+                return checkUrlReachable(getUrl(context));
+            },
+
+            getUrl
+        };
+    }
+
+    /**
+     * Read height and booking-complete messages from a provider iframe
+     * Understands a generic { type: 'booking:resize', height } / { type: 'booking:completed' } format
+     * as well as Calendly's and Cal.com's embed messages; returns null for anything else
+     */
+    function parseProviderMessage(data) {
+        let message = data;
+
+        if (typeof message === 'string') {
+            try {
+                message = JSON.parse(message);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!message || typeof message !== 'object') return null;
+
+        const type = message.type || message.event;
+        const payload = message.payload || message.data || {};
+
+        switch (type) {
+            case 'booking:resize':
+                return { height: parseFloat(message.height) };
+            case 'calendly.page_height':
+                return { height: parseFloat(payload.height) };
+            case '__dimensionChanged':
+                return { height: parseFloat(payload.iframeHeight) };
+            case 'booking:completed':
+            case 'calendly.event_scheduled':
+            case 'bookingSuccessful':
+                return { completed: true, data: payload };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Fit the iframe to the height reported by the provider, so the page is the only scroll area
+     */
+    function resizeIframe(iframe, height) {
+        if (!Number.isFinite(height) || height <= 0) return;
+
+        const clampedHeight = Math.min(Math.max(Math.ceil(height), IFRAME_CONFIG.minHeight), IFRAME_CONFIG.maxHeight);
+        iframe.style.height = `${clampedHeight}px`;
+        iframe.classList.add('is-sized');
+    }
+
+    /**
+     * Tell listeners on BookingManager that a booking went through, whichever provider took it
+     */
+    function emitBookingCompleted(detail) {
+        track('booking_completed', { provider: detail.provider });
+        bookingEvents.dispatchEvent(new CustomEvent('booking:completed', { detail }));
     }
 
     /**
-     * Load Setmore script dynamically
+     * Load a provider script, retrying up to retryAttempts times
+     * Every call starts with a fresh attempt count, so "try again" gets all attempts again
      */
-    function loadSetmoreScript() {
-        return new Promise((resolve, reject) => {
+    function loadScript(src, providerName) {
+        const scriptId = `booking-provider-script-${src.replace(/\W+/g, '-')}`;
+
+        const attempt = (attemptNumber) => new Promise((resolve, reject) => {
             // Check if script already exists
-            const existingScript = document.getElementById('setmore_script');
+            const existingScript = document.getElementById(scriptId);
             if (existingScript) {
                 existingScript.remove();
             }
 
             const script = document.createElement('script');
-            script.id = 'setmore_script';
-            script.src = 'https://assets.setmore.com/integration/static/setmoreIframeLive.js';
+            script.id = scriptId;
+            script.src = src;
             script.async = true;
 
             let timeoutId = setTimeout(() => {
@@ -125,85 +550,99 @@
 
             script.onload = () => {
                 clearTimeout(timeoutId);
-                isScriptLoaded = true;
+                providerScripts.set(script.src, providerName);
                 resolve();
             };
 
             script.onerror = () => {
                 clearTimeout(timeoutId);
                 script.remove();
-                
-                scriptLoadAttempts++;
-                if (scriptLoadAttempts < BOOKING_CONFIG.retryAttempts) {
+
+                if (attemptNumber < BOOKING_CONFIG.retryAttempts) {
                     // Retry loading script
                     setTimeout(() => {
-                        loadSetmoreScript().then(resolve).catch(reject);
+                        attempt(attemptNumber + 1).then(resolve).catch(reject);
                     }, 2000);
                 } else {
-                    reject(new Error('Failed to load Setmore script after multiple attempts'));
+                    reject(new Error(`Failed to load ${src} after multiple attempts`));
                 }
             };
 
             document.head.appendChild(script);
         });
+
+        return attempt(1);
     }
 
     /**
-     * Embed Setmore widget
+     * Check that a provider URL answers at all (opaque responses count, failures and timeouts do not)
      */
-    function embedSetmoreWidget() {
-        const setmoreContainer = document.getElementById('setmore-booking-container');
-        if (!setmoreContainer) return;
+    function checkUrlReachable(url) {
+        if (!url || !window.fetch) return Promise.resolve(Boolean(url));
 
-        try {
-            // Create Setmore iframe
-            const iframe = document.createElement('iframe');
-            iframe.src = BOOKING_CONFIG.setmoreUrl;
-            iframe.width = '100%';
-            iframe.height = '800';
-            iframe.frameBorder = '0';
-            iframe.style.borderRadius = '8px';
-            iframe.title = 'Book Appointment';
-            iframe.allow = 'camera; microphone; geolocation';
-            
-            // Clear loading content
-            setmoreContainer.innerHTML = '';
-            setmoreContainer.appendChild(iframe);
-
-            // Setup fallback link
-            setupSetmoreFallbackLink();
-
-            
+        const controller = window.AbortController ? new AbortController() : null;
+        const timeoutId = setTimeout(() => controller && controller.abort(), BOOKING_CONFIG.scriptTimeout);
 
-        } catch (error) {
-            showSetmoreFallback();
-        }
+        return fetch(url, { mode: 'no-cors', cache: 'no-store', signal: controller && controller.signal })
+            .then(() => true)
+            .catch(() => false)
+            .finally(() => clearTimeout(timeoutId));
     }
 
     /**
-     * Setup Setmore fallback link
+     * Point the fallback link at the provider's own booking page
      */
-    function setupSetmoreFallbackLink() {
+    function setupFallbackLink(url) {
         const fallbackLink = document.getElementById('setmore-fallback-link');
-        if (fallbackLink) {
-            fallbackLink.href = BOOKING_CONFIG.setmoreUrl;
+        if (fallbackLink && url) {
+            fallbackLink.href = url;
         }
     }
 
     /**
-     * Show Setmore fallback
+     * Show the contact card (phone, WhatsApp and the provider's own booking page)
      */
-    function showSetmoreFallback() {
-        const setmoreContainer = document.getElementById('setmore-booking-container');
+    function showContactCard() {
+        const widgetContainer = getWidgetContainer();
         const fallbackContainer = document.getElementById('booking-fallback');
-        
-        if (setmoreContainer) {
-            setmoreContainer.style.display = 'none';
+        if (!fallbackContainer) {
+            throw new Error('Booking contact card is missing');
         }
-        
+
+        if (widgetContainer) {
+            widgetContainer.style.display = 'none';
+        }
+
+        // Offer the configured provider's booking page in a new tab, when it has one
+        const primaryName = providerChain[0];
+        const primaryUrl = primaryName && providers[primaryName].getUrl
+            ? providers[primaryName].getUrl(createProviderContext(primaryName))
+            : null;
+        setupFallbackLink(primaryUrl);
+        toggleElement('booking-external-option', Boolean(primaryUrl));
+
+        const retryBtn = document.getElementById('booking-retry');
+        if (retryBtn && !retryBtn.dataset.bound) {
+            retryBtn.addEventListener('click', retryBookingWidget);
+            retryBtn.dataset.bound = 'true';
+        }
+
+        fallbackContainer.style.display = 'block';
+    }
+
+    /**
+     * Hide the contact card and bring back the widget container
+     */
+    function hideContactCard() {
+        const widgetContainer = getWidgetContainer();
+        const fallbackContainer = document.getElementById('booking-fallback');
+
         if (fallbackContainer) {
-            fallbackContainer.style.display = 'block';
-            setupSetmoreFallbackLink();
+            fallbackContainer.style.display = 'none';
+        }
+
+        if (widgetContainer) {
+            widgetContainer.style.display = '';
         }
     }
 
@@ -211,13 +650,13 @@
      * Show internal booking form
      */
     function showInternalBookingForm() {
-        const setmoreContainer = document.getElementById('setmore-booking-container');
+        const widgetContainer = getWidgetContainer();
         const internalContainer = document.getElementById('internal-booking-container');
-        
-        if (setmoreContainer) {
-            setmoreContainer.style.display = 'none';
+
+        if (widgetContainer) {
+            widgetContainer.style.display = 'none';
         }
-        
+
         if (internalContainer) {
             internalContainer.style.display = 'block';
             setupInternalBookingForm();
@@ -225,136 +664,1104 @@
     }
 
     /**
-     * Setup internal booking form
+     * Hide internal booking form when another provider takes over
      */
-    function setupInternalBookingForm() {
-        const bookingForm = document.getElementById('booking-form');
-        if (!bookingForm) return;
+    function hideInternalBookingForm() {
+        const widgetContainer = getWidgetContainer();
+        const internalContainer = document.getElementById('internal-booking-container');
 
-        // Setup form validation and submission
-        bookingForm.addEventListener('submit', handleInternalBookingSubmit);
+        if (internalContainer) {
+            internalContainer.style.display = 'none';
+        }
 
-        // Setup date minimum (today)
-        const dateInput = document.getElementById('booking-date');
-        if (dateInput) {
-            const today = new Date().toISOString().split('T')[0];
-            dateInput.min = today;
+        if (widgetContainer) {
+            widgetContainer.style.display = '';
         }
     }
 
     /**
-     * Handle internal booking form submission
+     * Setup internal booking form
      */
-    function handleInternalBookingSubmit(e) {
-        e.preventDefault();
-        
-        const form = e.target;
-        const formData = new FormData(form);
-        const bookingData = Object.fromEntries(formData);
-        
-        // Show loading state
-        const submitBtn = document.getElementById('booking-submit');
-        if (submitBtn) {
-            submitBtn.classList.add('loading');
-            submitBtn.disabled = true;
-        }
+    function setupInternalBookingForm() {
+        const bookingForm = document.getElementById('booking-form');
+        if (!bookingForm || isInternalFormReady) return;
 
-        // Simulate booking submission (replace with actual API call)
-        setTimeout(() => {
-            // Hide loading state
-            if (submitBtn) {
-                submitBtn.classList.remove('loading');
-                submitBtn.disabled = false;
-            }
+        // booking.js is the single owner of booking form submission;
+        // validate.js skips forms marked with data-submit-owner
+        bookingForm.addEventListener('submit', handleInternalBookingSubmit);
+        isInternalFormReady = true;
 
-            // Show success message
-            if (window.MainApp && window.MainApp.showToast) {
-                window.MainApp.showToast('Booking request submitted! We\'ll contact you soon to confirm your appointment.');
-            }
+        // Funnel events: the first edit starts the form, leaving before it is sent abandons it
+        bookingForm.addEventListener('input', handleFormStart);
+        bookingForm.addEventListener('change', handleFormStart);
+        window.addEventListener('pagehide', handleFormAbandon);
 
-            // Log booking data (replace with actual submission)
-            console.log('Booking submitted:', bookingData);
+        setupBookingSteps(bookingForm);
 
-            // Reset form
-            form.reset();
+        updateDateLimits();
+        setupTimeSlotPicker();
+        setupSlotValidation();
 
-        }, 2000);
+        document.addEventListener('language:changed', refreshBookingText);
     }
 
     /**
-     * Open Setmore booking (for floating button)
+     * Track the first edit of the booking form
+     * Only the visitor's own input counts, not change events dispatched by scripts
+     * (draft restore, service options re-rendered on language change)
      */
-    function openSetmoreBooking() {
-        // If we're on booking page and widget is loaded, scroll to it
-        if (isBookingPage() && isScriptLoaded) {
-            const bookingWidget = document.getElementById('setmore-booking-container');
-            if (bookingWidget && bookingWidget.style.display !== 'none') {
-                bookingWidget.scrollIntoView({ behavior: 'smooth' });
-                return;
-            }
-        }
+    function handleFormStart(e) {
+        if (isFormStarted || !e.isTrusted) return;
 
-        // Otherwise, open in new window or redirect to booking page
-        if (BOOKING_CONFIG.setmoreUrl && BOOKING_CONFIG.setmoreUrl !== 'https://booking.setmore.com/scheduleappointment/services') {
-            window.open(BOOKING_CONFIG.setmoreUrl, '_blank', 'width=800,height=600');
-        } else {
-            window.location.href = BOOKING_CONFIG.internalRoute;
-        }
+        isFormStarted = true;
+        track('booking_form_started', { step: bookingSteps[currentStepIndex] || null });
     }
 
     /**
-     * Open internal booking
+     * Track leaving the page with a started but unsent booking form (only the step, never field values)
      */
-    function openInternalBooking() {
-        window.location.href = BOOKING_CONFIG.internalRoute;
+    function handleFormAbandon() {
+        if (!isFormStarted) return;
+
+        isFormStarted = false;
+        track('booking_form_abandoned', { step: bookingSteps[currentStepIndex] || null });
     }
 
     /**
-     * Show loading state
+     * Re-render text built by this script after the site language changes
      */
-    function showLoadingState() {
-        const loadingElement = document.querySelector('.booking-loading');
-        if (loadingElement) {
-            loadingElement.style.display = 'flex';
+    function refreshBookingText() {
+        const form = document.getElementById('booking-form');
+        if (!form) return;
+
+        updateTimeSlots();
+
+        if (!isConfirmed && bookingSteps[currentStepIndex] === 'review') {
+            renderBookingSummary(document.getElementById('booking-review'), getBookingData(form), true);
+        }
+
+        // Summary and calendar entries of a confirmed booking follow the language too
+        if (isConfirmed && confirmedBooking) {
+            renderBookingSummary(document.getElementById('booking-confirmation-summary'), confirmedBooking.bookingData, false);
+            setupCalendarLinks(confirmedBooking.result, confirmedBooking.bookingData);
         }
     }
 
     /**
-     * Hide loading state
+     * Re-check the chosen slot against current availability before submitting,
+     * in case someone else booked it while the form was open
      */
-    function hideLoadingState() {
-        const loadingElement = document.querySelector('.booking-loading');
-        if (loadingElement) {
-            loadingElement.style.display = 'none';
-        }
+    function setupSlotValidation() {
+        if (!window.FormValidator) return;
+
+        window.FormValidator.addValidationRule('slotAvailable', (value, param, context) => {
+            const date = context.getValue('booking-date');
+            if (!value || !date) return true;
+
+            return fetchAvailability(date, context.getValue('booking-service'), { signal: context.signal })
+                .then(availability => availability.slots.some(slot => slot.time === value && slot.available));
+        }, 'booking.slotTaken', { async: true });
     }
 
     /**
-     * Update booking configuration
+     * Setup time slots driven by date, service and availability
      */
-    function updateConfig(newConfig) {
-        Object.assign(BOOKING_CONFIG, newConfig);
-        
-        // Re-initialize if we're on the booking page
-        if (isBookingPage()) {
-            initializeBookingWidget();
+    function setupTimeSlotPicker() {
+        const dateInput = document.getElementById('booking-date');
+        const serviceSelect = document.getElementById('booking-service');
+
+        if (dateInput) {
+            dateInput.addEventListener('change', () => {
+                // Closed days are rejected by the date rule in validate.js
+                if (window.FormValidator && dateInput.value) {
+                    window.FormValidator.validateField(dateInput.id);
+                }
+                updateTimeSlots();
+            });
+        }
+
+        if (serviceSelect) {
+            serviceSelect.addEventListener('change', updateTimeSlots);
+        }
+
+        if (window.BookingSchedule) {
+            window.BookingSchedule.load(BOOKING_CONFIG.scheduleUrl)
+                .then(() => {
+                    updateDateLimits();
+                    updateTimeSlots();
+                })
+                .catch((error) => {
+                    console.error('Failed to load booking schedule:', error);
+                });
         }
     }
 
     /**
-     * Get current booking configuration
+     * Limit the date picker to the booking window (today in the schedule's timezone to maxAdvanceDays ahead)
      */
-    function getConfig() {
-        return { ...BOOKING_CONFIG };
+    function updateDateLimits() {
+        const dateInput = document.getElementById('booking-date');
+        if (!dateInput) return;
+
+        if (!window.BookingSchedule) {
+            dateInput.min = new Date().toISOString().split('T')[0];
+            return;
+        }
+
+        const bookingWindow = window.BookingSchedule.getBookingWindow();
+        dateInput.min = bookingWindow.min;
+        if (bookingWindow.max) {
+            dateInput.max = bookingWindow.max;
+        } else {
+            dateInput.removeAttribute('max');
+        }
     }
 
+    /**
+     * Refresh time slot options for the selected date and service
+     */
+    function updateTimeSlots() {
+        const timeSelect = document.getElementById('booking-time');
+        const dateInput = document.getElementById('booking-date');
+        const serviceSelect = document.getElementById('booking-service');
+        if (!timeSelect || !dateInput) return;
+
+        const date = dateInput.value;
+        const service = serviceSelect ? serviceSelect.value : '';
+
+        if (!date) {
+            renderTimeSlots(timeSelect, null, t('booking.selectDateFirst'));
+            return;
+        }
+
+        // Ignore responses for selections the user has already changed
+        const requestId = ++availabilityRequestId;
+        timeSelect.setAttribute('aria-busy', 'true');
+
+        fetchAvailability(date, service)
+            .then((availability) => {
+                if (requestId !== availabilityRequestId) return;
+
+                const placeholder = availability.closed || availability.slots.length === 0
+                    ? t('booking.noTimes')
+                    : t('booking.selectTime');
+                renderTimeSlots(timeSelect, availability.slots, placeholder);
+            })
+            .catch((error) => {
+                if (requestId !== availabilityRequestId) return;
+
+                console.error('Failed to load availability:', error);
+                renderTimeSlots(timeSelect, null, t('booking.timesFailed'));
+            })
+            .finally(() => {
+                if (requestId === availabilityRequestId) {
+                    timeSelect.removeAttribute('aria-busy');
+                }
+            });
+    }
+
+    /**
+     * Fetch availability from the endpoint, falling back to the bundled schedule
+     * Resolves with { date, closed, slots: [{ time, available }] }
+     * Options: signal (AbortSignal) to cancel the request
+     */
+    function fetchAvailability(date, service, options = {}) {
+        if (!BOOKING_CONFIG.availabilityEndpoint) {
+            return getLocalAvailability(date, service);
+        }
+
+        const params = new URLSearchParams({ date, service });
+
+        return fetch(`${BOOKING_CONFIG.availabilityEndpoint}?${params}`, {
+            headers: { 'Accept': 'application/json' },
+            signal: options.signal
+        })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Availability request failed: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch((error) => {
+                if (options.signal && options.signal.aborted) throw error;
+
+                console.warn('Availability endpoint unavailable, using bundled schedule:', error);
+                return getLocalAvailability(date, service);
+            });
+    }
+
+    /**
+     * Availability computed from the bundled schedule (no knowledge of existing bookings)
+     * Slot length follows the service duration plus buffer time from the service catalog
+     */
+    function getLocalAvailability(date, service) {
+        if (!window.BookingSchedule) {
+            return Promise.reject(new Error('Booking schedule is not loaded'));
+        }
+
+        const catalogReady = window.ServiceCatalog
+            ? window.ServiceCatalog.load().catch(() => null)
+            : Promise.resolve(null);
+
+        return Promise.all([window.BookingSchedule.load(BOOKING_CONFIG.scheduleUrl), catalogReady]).then(() => {
+            const duration = window.ServiceCatalog && service
+                ? window.ServiceCatalog.getSlotDuration(service)
+                : null;
+
+            return {
+                date,
+                closed: window.BookingSchedule.isClosedDay(date),
+                slots: window.BookingSchedule.getSlots(date, { duration })
+            };
+        });
+    }
+
+    /**
+     * Render time slot options, keeping the current choice if it is still available
+     */
+    function renderTimeSlots(timeSelect, slots, placeholder) {
+        const previousValue = timeSelect.value;
+
+        timeSelect.innerHTML = '';
+        timeSelect.appendChild(new Option(placeholder, ''));
+
+        (slots || []).forEach(slot => {
+            const label = slot.available
+                ? formatTimeLabel(slot.time)
+                : t('booking.timeUnavailable', { time: formatTimeLabel(slot.time) });
+            const option = new Option(label, slot.time);
+            option.disabled = !slot.available;
+            timeSelect.appendChild(option);
+        });
+
+        const previousOption = Array.from(timeSelect.options).find(option => option.value === previousValue);
+        if (previousValue && previousOption && !previousOption.disabled) {
+            timeSelect.value = previousValue;
+        } else {
+            timeSelect.value = '';
+
+            // Tell the user their previous choice was dropped
+            if (previousValue && window.FormValidator) {
+                window.FormValidator.validateField(timeSelect.id);
+            }
+        }
+    }
+
+    /**
+     * Format HH:MM as a time in the page language, e.g. 13:30 in Georgian, 1:30 PM in English
+     */
+    function formatTimeLabel(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const lang = window.I18n ? window.I18n.getLanguage() : (document.documentElement.lang || 'ka');
+
+        try {
+            // A fixed UTC date, so the slot time is never shifted by the visitor's timezone
+            return new Date(Date.UTC(2000, 0, 1, hours, minutes)).toLocaleTimeString(lang, {
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZone: 'UTC'
+            });
+        } catch (error) {
+            return time;
+        }
+    }
+
+    /**
+     * Setup step mode (service -> date/time -> contact details -> review -> confirmation)
+     */
+    function setupBookingSteps(form) {
+        const stepElements = Array.from(form.querySelectorAll('[data-step]'));
+        bookingSteps = stepElements.map(step => step.dataset.step);
+
+        if (!BOOKING_CONFIG.stepMode || !bookingSteps.length) {
+            // The review step only makes sense when stepping through the form
+            stepElements
+                .filter(step => step.dataset.step === 'review')
+                .forEach(step => { step.hidden = true; });
+            bookingSteps = [];
+            return;
+        }
+
+        form.classList.add('is-stepped');
+
+        const progress = document.getElementById('booking-progress');
+        if (progress) {
+            progress.hidden = false;
+        }
+
+        const backBtn = document.getElementById('booking-back');
+        const nextBtn = document.getElementById('booking-next');
+        const restartBtn = document.getElementById('booking-restart');
+
+        if (backBtn) {
+            backBtn.addEventListener('click', () => showStep(currentStepIndex - 1));
+        }
+
+        if (nextBtn) {
+            nextBtn.addEventListener('click', goToNextStep);
+        }
+
+        if (restartBtn) {
+            restartBtn.addEventListener('click', restartBooking);
+        }
+
+        // Edit buttons in the review summary jump back to their step
+        const review = document.getElementById('booking-review');
+        if (review) {
+            review.addEventListener('click', (e) => {
+                const editBtn = e.target.closest('[data-edit-step]');
+                if (editBtn) {
+                    showStep(bookingSteps.indexOf(editBtn.dataset.editStep));
+                }
+            });
+        }
+
+        window.addEventListener('popstate', handleStepPopState);
+
+        // Always start at the first step, even when the URL points at a later one
+        showStep(0, { history: 'replace', focus: false });
+    }
+
+    /**
+     * Show a step by index
+     * Options: history ('push' | 'replace' | 'none'), focus (move focus to the step title)
+     */
+    function showStep(index, options = {}) {
+        const form = document.getElementById('booking-form');
+        if (!form || index < 0 || index >= bookingSteps.length) return;
+
+        const { history: historyMode = 'push', focus = true } = options;
+        const stepName = bookingSteps[index];
+        const isLastStep = index === bookingSteps.length - 1;
+
+        currentStepIndex = index;
+
+        form.querySelectorAll('[data-step]').forEach(step => {
+            step.hidden = step.dataset.step !== stepName;
+        });
+
+        updateStepProgress(index);
+        toggleElement('booking-back', index > 0);
+        toggleElement('booking-next', !isLastStep);
+        toggleElement('booking-submit', isLastStep);
+
+        if (stepName === 'review') {
+            renderBookingSummary(document.getElementById('booking-review'), getBookingData(form), true);
+        }
+
+        updateStepHistory({ bookingStep: stepName }, `#step-${stepName}`, historyMode);
+
+        if (focus) {
+            focusStepTitle(form.querySelector(`[data-step="${stepName}"]`));
+        }
+
+        announce(t('booking.step', {
+            current: index + 1,
+            total: bookingSteps.length,
+            title: getStepTitle(stepName)
+        }));
+    }
+
+    /**
+     * Validate the current step and move forward
+     */
+    function goToNextStep() {
+        if (isValidatingStep) return;
+
+        const fromIndex = currentStepIndex;
+        isValidatingStep = true;
+
+        validateSteps(fromIndex, fromIndex)
+            .then((isValid) => {
+                // Ignore the result if the user navigated away while async rules ran
+                if (isValid && currentStepIndex === fromIndex) {
+                    showStep(fromIndex + 1);
+                }
+            })
+            .finally(() => {
+                isValidatingStep = false;
+            });
+    }
+
+    /**
+     * Validate steps from index "from" to index "to" (inclusive) through FormValidator
+     * Resolves false and shows the first invalid step when validation fails
+     */
+    function validateSteps(from, to) {
+        if (!window.FormValidator) return Promise.resolve(true);
+
+        const form = document.getElementById('booking-form');
+
+        const validateStep = (index) => {
+            if (index > to) return Promise.resolve(true);
+
+            const step = form.querySelector(`[data-step="${bookingSteps[index]}"]`);
+            const fieldIds = Array.from(step.querySelectorAll('input, select, textarea'))
+                .map(field => field.id)
+                .filter(Boolean);
+
+            return window.FormValidator.validateAndReport(form.id, fieldIds).then((isValid) => {
+                if (isValid) return validateStep(index + 1);
+
+                if (index !== currentStepIndex) {
+                    showStep(index, { history: 'replace' });
+                }
+                focusFirstInvalidField(step);
+                return false;
+            });
+        };
+
+        return validateStep(from);
+    }
+
+    /**
+     * Follow browser back/forward between steps
+     */
+    function handleStepPopState(e) {
+        const stepName = e.state && e.state.bookingStep;
+        if (!stepName || isConfirmed) return;
+
+        const index = bookingSteps.indexOf(stepName);
+        if (index === -1) return;
+
+        // Moving forward through history must not skip validation
+        if (index > currentStepIndex) {
+            validateSteps(currentStepIndex, index - 1).then((isValid) => {
+                if (isValid) {
+                    showStep(index, { history: 'none' });
+                }
+            });
+            return;
+        }
+
+        showStep(index, { history: 'none' });
+    }
+
+    /**
+     * Push or replace a history entry for the current step
+     */
+    function updateStepHistory(state, hash, mode) {
+        if (mode === 'none' || !window.history || !window.history.pushState) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+
+        if (mode === 'replace') {
+            window.history.replaceState(state, '', url);
+        } else {
+            window.history.pushState(state, '', url);
+        }
+    }
+
+    /**
+     * Update the progress indicator
+     */
+    function updateStepProgress(index) {
+        document.querySelectorAll('[data-step-indicator]').forEach(item => {
+            const itemIndex = bookingSteps.indexOf(item.dataset.stepIndicator);
+
+            item.classList.toggle('is-complete', itemIndex < index);
+            item.classList.toggle('is-current', itemIndex === index);
+
+            if (itemIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Show the persistent confirmation view with the booking reference
+     */
+    function showConfirmation(result, bookingData) {
+        const form = document.getElementById('booking-form');
+        const confirmation = document.getElementById('booking-confirmation');
+        if (!form || !confirmation) return false;
+
+        isConfirmed = true;
+        confirmedBooking = { result, bookingData };
+        form.hidden = true;
+        toggleElement('booking-progress', false);
+
+        const reference = document.getElementById('booking-reference');
+        if (reference) {
+            reference.textContent = (result && result.id) || '—';
+        }
+
+        renderBookingSummary(document.getElementById('booking-confirmation-summary'), bookingData, false);
+        setupCalendarLinks(result, bookingData);
+
+        confirmation.hidden = false;
+
+        // Replace the review entry so going back does not lead to a submitted form
+        updateStepHistory({ bookingStep: 'confirmation' }, '#booking-confirmed', 'replace');
+        focusStepTitle(confirmation);
+
+        return true;
+    }
+
+    /**
+     * Offer "Add to calendar" download and Google/Outlook links for the confirmed booking
+     */
+    function setupCalendarLinks(result, bookingData) {
+        const container = document.getElementById('booking-calendar-actions');
+        if (!container) return;
+
+        if (!window.BookingCalendar || !bookingData.date || !bookingData.time) {
+            container.hidden = true;
+            return;
+        }
+
+        const event = createCalendarEvent(result, bookingData);
+        const icsLink = document.getElementById('booking-ics-link');
+        const googleLink = document.getElementById('booking-google-link');
+        const outlookLink = document.getElementById('booking-outlook-link');
+
+        if (icsLink) {
+            revokeCalendarFile();
+            const blob = new Blob([window.BookingCalendar.createICS(event)], { type: 'text/calendar;charset=utf-8' });
+            calendarFileUrl = URL.createObjectURL(blob);
+            icsLink.href = calendarFileUrl;
+            icsLink.download = `melide-${(result && result.id) || bookingData.date}.ics`;
+        }
+
+        if (googleLink) {
+            googleLink.href = window.BookingCalendar.getGoogleCalendarUrl(event);
+        }
+
+        if (outlookLink) {
+            outlookLink.href = window.BookingCalendar.getOutlookCalendarUrl(event);
+        }
+
+        container.hidden = false;
+    }
+
+    /**
+     * Build a calendar event from booking data
+     */
+    function createCalendarEvent(result, bookingData) {
+        const calendarConfig = BOOKING_CONFIG.calendar;
+        const service = window.ServiceCatalog && window.ServiceCatalog.getService(bookingData.service);
+        const serviceName = service ? window.ServiceCatalog.getServiceName(service.id) : bookingData.service;
+        const reference = result && result.id;
+        const title = window.I18n && window.I18n.has('common.brand') ? t('common.brand') : calendarConfig.title;
+
+        return {
+            uid: `${reference || Date.now()}@melide.ge`,
+            summary: `${title}: ${serviceName}`,
+            description: reference ? t('booking.calendarReference', { reference }) : '',
+            location: calendarConfig.location,
+            date: bookingData.date,
+            time: bookingData.time,
+            duration: service ? service.duration : 60,
+            timezone: calendarConfig.timezone,
+            reminderMinutes: calendarConfig.reminderMinutes,
+            url: `${window.location.origin}${BOOKING_CONFIG.internalRoute}`
+        };
+    }
+
+    /**
+     * Release the previous calendar file
+     */
+    function revokeCalendarFile() {
+        if (calendarFileUrl) {
+            URL.revokeObjectURL(calendarFileUrl);
+            calendarFileUrl = null;
+        }
+    }
+
+    /**
+     * Start a new booking from the confirmation view
+     */
+    function restartBooking() {
+        const form = document.getElementById('booking-form');
+        const confirmation = document.getElementById('booking-confirmation');
+        if (!form) return;
+
+        isConfirmed = false;
+        confirmedBooking = null;
+        isFormStarted = false;
+        revokeCalendarFile();
+        form.reset();
+        form.hidden = false;
+
+        if (confirmation) {
+            confirmation.hidden = true;
+        }
+
+        if (window.FormValidator) {
+            window.FormValidator.resetValidation(form.id);
+        }
+
+        toggleElement('booking-progress', true);
+        updateTimeSlots();
+        showStep(0);
+    }
+
+    /**
+     * Render a booking summary as dt/dd pairs
+     */
+    function renderBookingSummary(list, bookingData, withEditButtons) {
+        if (!list) return;
+
+        const form = document.getElementById('booking-form');
+        list.innerHTML = '';
+
+        getSummaryEntries(bookingData).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'booking-review-item';
+
+            const term = document.createElement('dt');
+            term.textContent = getFieldLabel(form, entry.field);
+
+            const description = document.createElement('dd');
+            description.textContent = entry.value;
+
+            if (withEditButtons) {
+                const step = form.querySelector(`[name="${entry.field}"]`).closest('[data-step]');
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.className = 'booking-review-edit';
+                editBtn.dataset.editStep = step.dataset.step;
+                editBtn.textContent = t('booking.edit');
+                editBtn.setAttribute('aria-label', t('booking.editField', { label: term.textContent }));
+                description.appendChild(editBtn);
+            }
+
+            item.append(term, description);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Readable summary values, skipping empty optional fields
+     */
+    function getSummaryEntries(bookingData) {
+        const serviceName = window.ServiceCatalog && window.ServiceCatalog.getServiceName(bookingData.service);
+
+        return [
+            { field: 'service', value: serviceName || bookingData.service },
+            { field: 'date', value: formatDateLabel(bookingData.date) },
+            { field: 'time', value: bookingData.time ? formatTimeLabel(bookingData.time) : '' },
+            { field: 'name', value: bookingData.name },
+            { field: 'email', value: bookingData.email },
+            { field: 'phone', value: bookingData.phone },
+            { field: 'notes', value: bookingData.notes }
+        ].filter(entry => entry.value && entry.value.trim());
+    }
+
+    /**
+     * Get a field's label text without the required marker
+     */
+    function getFieldLabel(form, name) {
+        const field = form.querySelector(`[name="${name}"]`);
+        const label = field && form.querySelector(`label[for="${field.id}"]`);
+        return label ? label.textContent.replace('*', '').trim() : name;
+    }
+
+    /**
+     * Get a step's title text
+     */
+    function getStepTitle(stepName) {
+        const title = document.querySelector(`[data-step="${stepName}"] .booking-step-title`);
+        return title ? title.textContent.trim() : stepName;
+    }
+
+    /**
+     * Format YYYY-MM-DD as a long date in the page language
+     */
+    function formatDateLabel(date) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+        if (!match) return date || '';
+
+        const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return day.toLocaleDateString(document.documentElement.lang || 'ka', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Collect booking form data
+     */
+    function getBookingData(form) {
+        return Object.fromEntries(new FormData(form));
+    }
+
+    /**
+     * Move focus to a step title so screen readers announce the new step
+     */
+    function focusStepTitle(container) {
+        const title = container && container.querySelector('.booking-step-title');
+        if (title) {
+            title.focus();
+        }
+    }
+
+    /**
+     * Focus the first invalid field within a container
+     */
+    function focusFirstInvalidField(container) {
+        const field = container.querySelector('[aria-invalid="true"]');
+        if (field) {
+            field.focus();
+        }
+    }
+
+    /**
+     * Show or hide an element by ID
+     */
+    function toggleElement(id, isVisible) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.hidden = !isVisible;
+        }
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    /**
+     * Record an analytics event (see analytics.js)
+     */
+    function track(name, properties) {
+        if (window.Analytics) {
+            window.Analytics.track(name, properties);
+        }
+    }
+
+    /**
+     * Announce message to screen readers
+     */
+    function announce(message) {
+        const announcement = document.createElement('div');
+        announcement.textContent = message;
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.classList.add('sr-only');
+        
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => {
+            announcement.remove();
+        }, 1000);
+    }
+
+    /**
+     * Handle internal booking form submission
+     * Pipeline: validate -> beforeSubmit hooks -> submit -> afterSubmit hooks (or onError hooks)
+     */
+    function handleInternalBookingSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        if (isSubmitting) return;
+
+        // In step mode, Enter on an earlier step moves forward instead of submitting
+        if (bookingSteps.length && currentStepIndex < bookingSteps.length - 1) {
+            goToNextStep();
+            return;
+        }
+
+        let bookingData = null;
+        
+        // Show loading state (also while async rules such as slotAvailable run)
+        isSubmitting = true;
+        setSubmitLoading(true);
+
+        validateBookingForm(form)
+            .then((isValid) => {
+                if (!isValid) return null;
+
+                bookingData = getBookingData(form);
+                return runBeforeSubmitHooks(bookingData, form);
+            })
+            .then((data) => {
+                // Validation failed or a beforeSubmit hook cancelled the submission
+                if (!data) return;
+
+                bookingData = data;
+                const idempotencyKey = window.FormSubmit ? window.FormSubmit.getFormKey(form) : undefined;
+                return submitBooking(bookingData, idempotencyKey).then((result) => {
+                    runHooks('afterSubmit', result, bookingData, form);
+                    handleBookingSuccess(form, result, bookingData);
+                });
+            })
+            .catch((error) => {
+                console.error('Booking submission failed:', error);
+                runHooks('onError', error, bookingData, form);
+                handleBookingError(form, error);
+            })
+            .finally(() => {
+                // Hide loading state
+                isSubmitting = false;
+                setSubmitLoading(false);
+            });
+    }
+
+    /**
+     * Validation gates the submission step, resolves true when the booking can be sent
+     */
+    function validateBookingForm(form) {
+        if (bookingSteps.length) {
+            return validateSteps(0, bookingSteps.length - 1);
+        }
+
+        return window.FormValidator
+            ? window.FormValidator.validateAndReport(form.id)
+            : Promise.resolve(true);
+    }
+
+    /**
+     * Run beforeSubmit hooks in order
+     * A hook may return false to cancel, an object to replace the data, or a Promise of either
+     */
+    function runBeforeSubmitHooks(bookingData, form) {
+        return submitHooks.beforeSubmit.reduce((chain, hook) => {
+            return chain.then((data) => {
+                if (!data) return data;
+
+                return Promise.resolve(hook(data, form)).then((result) => {
+                    if (result === false) return null;
+                    return result && typeof result === 'object' ? result : data;
+                });
+            });
+        }, Promise.resolve(bookingData));
+    }
+
+    /**
+     * Run notification hooks, isolating failures so one hook cannot break the others
+     */
+    function runHooks(name, ...args) {
+        submitHooks[name].forEach(hook => {
+            try {
+                hook(...args);
+            } catch (error) {
+                console.error(`Error in booking ${name} hook:`, error);
+            }
+        });
+    }
+
+    /**
+     * Register a submission hook, returns a function that removes it
+     */
+    function addSubmitHook(name, hook) {
+        if (typeof hook !== 'function') {
+            throw new TypeError(`Booking ${name} hook must be a function`);
+        }
+
+        submitHooks[name].push(hook);
+
+        return () => {
+            submitHooks[name] = submitHooks[name].filter(registered => registered !== hook);
+        };
+    }
+
+    /**
+     * Handle successful booking submission
+     */
+    function handleBookingSuccess(form, result, bookingData) {
+        if (window.FormDrafts) {
+            window.FormDrafts.clear(form.id);
+        }
+
+        // The next booking from this form is a new submission
+        if (window.FormSubmit) {
+            window.FormSubmit.clearFormKey(form);
+        }
+
+        // A sent form is no longer open to abandon
+        isFormStarted = false;
+
+        // Reference and slot only; contact details stay out of the event
+        emitBookingCompleted({
+            provider: 'internal',
+            data: {
+                id: result && result.id,
+                service: bookingData.service,
+                date: bookingData.date,
+                time: bookingData.time
+            }
+        });
+
+        // Step mode keeps a confirmation on screen instead of a passing toast
+        if (bookingSteps.length && showConfirmation(result, bookingData)) {
+            return;
+        }
+
+        // Show success message
+        if (window.MainApp && window.MainApp.showToast) {
+            window.MainApp.showToast(t('booking.submitted'));
+        }
+
+        // Reset form
+        form.reset();
+    }
+
+    /**
+     * Handle failed booking submission
+     */
+    function handleBookingError(form, error) {
+        // Map server-side field errors back onto the form
+        if (error.fieldErrors && window.FormValidator && window.FormValidator.showServerErrors) {
+            window.FormValidator.showServerErrors(form, error.fieldErrors);
+        }
+
+        if (window.MainApp && window.MainApp.showToast) {
+            if (error.fieldErrors) {
+                window.MainApp.showToast(t('form.correctErrors'), 'error');
+            } else {
+                // Nothing to fix on the form, so offer to send it again
+                window.MainApp.showToast(t('booking.failed'), 'error', {
+                    actions: [{ label: t('toast.retry'), onClick: () => form.requestSubmit() }]
+                });
+            }
+        }
+    }
+
+    /**
+     * Send booking data to the configured endpoint
+     * Pass the same idempotencyKey when retrying a submission (see FormSubmit.getFormKey)
+     */
+    function submitBooking(bookingData, idempotencyKey) {
+        if (!window.FormSubmit) {
+            return Promise.reject(new Error('Form submission transport is not loaded'));
+        }
+
+        return window.FormSubmit.send(BOOKING_CONFIG.submitEndpoint, bookingData, {
+            timeout: BOOKING_CONFIG.submitTimeout,
+            retryAttempts: BOOKING_CONFIG.submitRetries,
+            idempotencyKey
+        });
+    }
+
+    /**
+     * Toggle booking submit button loading state
+     */
+    function setSubmitLoading(isLoading) {
+        const submitBtn = document.getElementById('booking-submit');
+        if (!submitBtn) return;
+
+        submitBtn.classList.toggle('loading', isLoading);
+        submitBtn.disabled = isLoading;
+    }
+
+    /**
+     * Open Setmore booking (for floating button)
+     */
+    function openSetmoreBooking() {
+        providers.setmore.open(createProviderContext('setmore'));
+    }
+
+    /**
+     * Open internal booking
+     */
+    function openInternalBooking() {
+        window.location.href = BOOKING_CONFIG.internalRoute;
+    }
+
+    /**
+     * Show loading state
+     */
+    function showLoadingState() {
+        const loadingElement = document.querySelector('.booking-loading');
+        if (loadingElement) {
+            loadingElement.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide loading state
+     */
+    function hideLoadingState() {
+        const loadingElement = document.querySelector('.booking-loading');
+        if (loadingElement) {
+            loadingElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Update booking configuration
+     */
+    function updateConfig(newConfig) {
+        Object.assign(BOOKING_CONFIG, newConfig);
+        
+        // Re-initialize if we're on the booking page
+        if (isBookingPage()) {
+            initializeBookingWidget();
+        }
+    }
+
+    /**
+     * Get current booking configuration
+     */
+    function getConfig() {
+        return { ...BOOKING_CONFIG };
+    }
+
+    /**
+     * Built-in providers: Setmore embedded as an iframe, the internal booking form and the contact card
+     */
+    function registerBuiltInProviders() {
+        const setmore = createIframeProvider({
+            url: (config) => config.setmoreUrl,
+            scriptUrl: (config) => config.setmoreScriptUrl,
+            name: 'Setmore',
+            title: 'Book Appointment',
+            allow: 'camera; microphone; geolocation'
+        });
+
+        registerProvider('setmore', {
+            ...setmore,
+            open(context) {
+                // The generic scheduling URL is not a real booking page yet
+                if (context.config.setmoreUrl === SETMORE_PLACEHOLDER_URL) {
+                    openInternalBooking();
+                } else {
+                    setmore.open(context);
+                }
+            }
+        });
+
+        registerProvider('internal', {
+            embed: showInternalBookingForm,
+            open: openInternalBooking,
+            teardown: hideInternalBookingForm
+        });
+
+        // Phone and WhatsApp card at the end of the fallback chain
+        registerProvider('contact', {
+            embed: showContactCard,
+            open: openInternalBooking,
+            teardown: hideContactCard
+        });
+    }
+
+    registerBuiltInProviders();
+
     // Export public API
     window.BookingManager = {
         openBooking: handleBookingClick,
         updateConfig,
         getConfig,
         openSetmoreBooking,
-        openInternalBooking
+        openInternalBooking,
+        registerProvider,
+        createIframeProvider,
+        checkProviderHealth,
+        retry: retryBookingWidget,
+        addEventListener: bookingEvents.addEventListener.bind(bookingEvents),
+        removeEventListener: bookingEvents.removeEventListener.bind(bookingEvents),
+        submitBooking,
+        beforeSubmit: (hook) => addSubmitHook('beforeSubmit', hook),
+        afterSubmit: (hook) => addSubmitHook('afterSubmit', hook),
+        onError: (hook) => addSubmitHook('onError', hook)
     };
 
     // Initialize when DOM is ready
@@ -366,9 +1773,9 @@
 
     // Handle errors gracefully
     window.addEventListener('error', (e) => {
-        if (e.filename && e.filename.includes('setmore')) {
-            console.error('Setmore script error:', e.error);
-            showSetmoreFallback();
+        // Only the provider currently shown falls back; scripts of earlier providers are ignored
+        if (e.filename && activeProvider && providerScripts.get(e.filename) === providerChain[providerIndex]) {
+            handleProviderFailure(providerIndex, e.error || new Error('Booking provider script error'));
         }
     });
 
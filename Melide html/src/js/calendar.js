@@ -0,0 +1,223 @@
+/**
+ * Calendar invites
+ * Generates RFC 5545 iCalendar files and Google/Outlook links for confirmed bookings
+ */
+
+(function() {
+    'use strict';
+
+    // Fixed UTC offsets for supported time zones (Georgia has no daylight saving time)
+    const TIMEZONE_OFFSETS = {
+        'Asia/Tbilisi': '+04:00'
+    };
+
+    const PRODUCT_ID = '-//Melide//Booking//KA';
+    const MAX_LINE_OCTETS = 75;
+
+    /**
+     * Create an iCalendar file for an event
+     * Event: { uid, summary, description, location, date (YYYY-MM-DD), time (HH:MM),
+     *          duration (minutes), timezone, reminderMinutes, url }
+     * Pass now (Date) to get a deterministic DTSTAMP
+     */
+    function createICS(event, now = new Date()) {
+        const timezone = event.timezone || 'Asia/Tbilisi';
+        const { start, end } = getLocalRange(event);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...createTimezone(timezone),
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatUtcDateTime(now)}`,
+            `DTSTART;TZID=${timezone}:${formatLocalDateTime(start)}`,
+            `DTEND;TZID=${timezone}:${formatLocalDateTime(end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        ];
+
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+
+        if (event.reminderMinutes) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(event.summary)}`,
+                `TRIGGER:-PT${event.reminderMinutes}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Create a Google Calendar "add event" link
+     */
+    function getGoogleCalendarUrl(event) {
+        const { start, end } = getLocalRange(event);
+        const params = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: event.summary,
+            dates: `${formatLocalDateTime(start)}/${formatLocalDateTime(end)}`,
+            ctz: event.timezone || 'Asia/Tbilisi',
+            details: event.description || '',
+            location: event.location || ''
+        });
+
+        return `https://calendar.google.com/calendar/render?${params}`;
+    }
+
+    /**
+     * Create an Outlook.com "add event" link
+     */
+    function getOutlookCalendarUrl(event) {
+        const { start, end } = getLocalRange(event);
+        const offset = TIMEZONE_OFFSETS[event.timezone || 'Asia/Tbilisi'] || 'Z';
+        const params = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.summary,
+            startdt: `${formatIsoDateTime(start)}${offset}`,
+            enddt: `${formatIsoDateTime(end)}${offset}`,
+            body: event.description || '',
+            location: event.location || ''
+        });
+
+        return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+    }
+
+    /**
+     * VTIMEZONE block for a fixed-offset time zone
+     */
+    function createTimezone(timezone) {
+        const offset = TIMEZONE_OFFSETS[timezone];
+        if (!offset) return [];
+
+        const compactOffset = offset.replace(':', '');
+
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timezone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${compactOffset}`,
+            `TZOFFSETTO:${compactOffset}`,
+            `TZNAME:${offset.slice(0, 3)}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Start and end as wall-clock dates (UTC fields hold local time, so no host time zone leaks in)
+     */
+    function getLocalRange(event) {
+        const [year, month, day] = event.date.split('-').map(Number);
+        const [hours, minutes] = event.time.split(':').map(Number);
+        const start = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+        const end = new Date(start.getTime() + (event.duration || 60) * 60000);
+
+        return { start, end };
+    }
+
+    /**
+     * Format a wall-clock date as YYYYMMDDTHHMMSS
+     */
+    function formatLocalDateTime(date) {
+        return formatIsoDateTime(date).replace(/[-:]/g, '');
+    }
+
+    /**
+     * Format a wall-clock date as YYYY-MM-DDTHH:MM:SS
+     */
+    function formatIsoDateTime(date) {
+        return date.toISOString().slice(0, 19);
+    }
+
+    /**
+     * Format an instant as a UTC date-time, e.g. 20240315T091500Z
+     */
+    function formatUtcDateTime(date) {
+        return `${formatLocalDateTime(date)}Z`;
+    }
+
+    /**
+     * Escape TEXT values (RFC 5545 section 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold lines longer than 75 octets (RFC 5545 section 3.1)
+     * Counts UTF-8 bytes so multi-byte characters (e.g. Georgian) are never split
+     */
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let currentOctets = 0;
+
+        for (const char of line) {
+            const octets = getUtf8Length(char);
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+            if (currentOctets + octets > limit) {
+                parts.push(current);
+                current = '';
+                currentOctets = 0;
+            }
+
+            current += char;
+            currentOctets += octets;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * UTF-8 byte length of a single character
+     */
+    function getUtf8Length(char) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+
+    const BookingCalendar = {
+        createICS,
+        getGoogleCalendarUrl,
+        getOutlookCalendarUrl
+    };
+
+    // Export public API (also loadable from Node, see server/calendar-check.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingCalendar;
+    } else {
+        window.BookingCalendar = BookingCalendar;
+    }
+
+})();
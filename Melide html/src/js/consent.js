@@ -0,0 +1,512 @@
+/**
+ * Consent manager
+ * Asks which optional categories (functional, analytics) the visitor allows, remembers the answer
+ * and lets other scripts wait for consent before loading third-party resources
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration object - bump version when categories or third parties change to ask again
+    const CONSENT_CONFIG = {
+        storageKey: 'melide:consent',
+        version: 1,
+        // Necessary is always on and cannot be switched off
+        categories: ['necessary', 'functional', 'analytics']
+    };
+
+    // DOM elements
+    let banner = null;
+    let dialog = null;
+    let focusedElementBeforeDialog = null;
+
+    // State: { version, categories: { functional, analytics }, updatedAt } or null before a choice
+    let consent = readStoredConsent();
+
+    /**
+     * Initialize the consent manager
+     */
+    function init() {
+        try {
+            // Footer "Cookie settings" buttons and placeholders on any page
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('[data-consent-open]')) {
+                    e.preventDefault();
+                    openPreferences();
+                }
+            });
+
+            document.addEventListener('language:changed', updateTexts);
+
+            setupConsentImages();
+
+            if (!consent) {
+                showBanner();
+            }
+        } catch (error) {
+            console.error('Error initializing consent manager:', error);
+        }
+    }
+
+    /**
+     * Check whether a category is allowed
+     */
+    function has(category) {
+        if (category === 'necessary') return true;
+
+        return Boolean(consent && consent.categories[category]);
+    }
+
+    /**
+     * Resolve once a category is allowed (right away when it already is)
+     */
+    function whenGranted(category) {
+        if (has(category)) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const handleChange = () => {
+                if (has(category)) {
+                    document.removeEventListener('consent:changed', handleChange);
+                    resolve();
+                }
+            };
+
+            document.addEventListener('consent:changed', handleChange);
+        });
+    }
+
+    /**
+     * Save a choice for the optional categories; categories not given keep their current value
+     */
+    function update(categories) {
+        const current = consent ? consent.categories : {};
+        const next = {};
+
+        CONSENT_CONFIG.categories
+            .filter(category => category !== 'necessary')
+            .forEach(category => {
+                next[category] = Boolean(categories[category] !== undefined ? categories[category] : current[category]);
+            });
+
+        consent = {
+            version: CONSENT_CONFIG.version,
+            categories: next,
+            updatedAt: new Date().toISOString()
+        };
+
+        writeStoredConsent(consent);
+        hideBanner();
+
+        document.dispatchEvent(new CustomEvent('consent:changed', {
+            detail: { categories: { necessary: true, ...next } }
+        }));
+    }
+
+    /**
+     * Allow one category, e.g. from a click-to-load placeholder
+     */
+    function grant(category) {
+        update({ [category]: true });
+    }
+
+    /**
+     * Allow all optional categories
+     */
+    function acceptAll() {
+        update(toCategoryMap(true));
+    }
+
+    /**
+     * Keep only the necessary category
+     */
+    function rejectAll() {
+        update(toCategoryMap(false));
+    }
+
+    /**
+     * Map every optional category to the same value
+     */
+    function toCategoryMap(value) {
+        return Object.fromEntries(CONSENT_CONFIG.categories
+            .filter(category => category !== 'necessary')
+            .map(category => [category, value]));
+    }
+
+    /**
+     * Read stored consent, ignoring choices made for an older version
+     */
+    function readStoredConsent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONSENT_CONFIG.storageKey));
+            return stored && stored.version === CONSENT_CONFIG.version && stored.categories ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeStoredConsent(data) {
+        try {
+            localStorage.setItem(CONSENT_CONFIG.storageKey, JSON.stringify(data));
+        } catch (error) {
+            // The choice still applies to this page view
+            console.warn('Could not save consent:', error);
+        }
+    }
+
+    /**
+     * Show the consent banner
+     */
+    function showBanner() {
+        if (banner) return;
+
+        banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.dataset.consentLabel = 'consent.bannerLabel';
+
+        const text = createText('p', 'consent-banner-text', 'consent.bannerText');
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            createButton('btn btn-primary', 'consent.acceptAll', acceptAll),
+            createButton('btn btn-secondary', 'consent.rejectAll', rejectAll),
+            createButton('btn btn-secondary', 'consent.customize', openPreferences)
+        );
+
+        banner.append(text, actions);
+        document.body.appendChild(banner);
+        updateTexts();
+    }
+
+    /**
+     * Remove the banner once a choice is made
+     */
+    function hideBanner() {
+        if (banner) {
+            banner.remove();
+            banner = null;
+        }
+    }
+
+    /**
+     * Open the preferences dialog
+     */
+    function openPreferences() {
+        if (!dialog) {
+            dialog = createDialog();
+            document.body.appendChild(dialog);
+            updateTexts();
+        }
+
+        // Reflect the current choice every time the dialog opens
+        dialog.querySelectorAll('input[data-category]').forEach(input => {
+            input.checked = has(input.dataset.category);
+        });
+
+        focusedElementBeforeDialog = document.activeElement;
+        dialog.hidden = false;
+        document.addEventListener('keydown', handleDialogKeydown);
+
+        const firstInput = dialog.querySelector('input:not([disabled])');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
+    /**
+     * Close the preferences dialog and return focus
+     */
+    function closePreferences() {
+        if (!dialog || dialog.hidden) return;
+
+        dialog.hidden = true;
+        document.removeEventListener('keydown', handleDialogKeydown);
+
+        if (focusedElementBeforeDialog && document.contains(focusedElementBeforeDialog)) {
+            focusedElementBeforeDialog.focus();
+        }
+        focusedElementBeforeDialog = null;
+    }
+
+    /**
+     * Build the preferences dialog with one switch per category
+     */
+    function createDialog() {
+        const element = document.createElement('div');
+        element.className = 'consent-dialog';
+        element.hidden = true;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'consent-dialog-overlay';
+        overlay.addEventListener('click', closePreferences);
+
+        const panel = document.createElement('div');
+        panel.className = 'consent-dialog-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', 'consent-dialog-title');
+
+        const title = createText('h2', 'consent-dialog-title', 'consent.preferencesTitle');
+        title.id = 'consent-dialog-title';
+
+        const form = document.createElement('form');
+        form.className = 'consent-categories';
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            update(Object.fromEntries(Array.from(form.querySelectorAll('input[data-category]:not([disabled])'))
+                .map(input => [input.dataset.category, input.checked])));
+            closePreferences();
+        });
+
+        CONSENT_CONFIG.categories.forEach(category => {
+            const item = document.createElement('div');
+            item.className = 'consent-category';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `consent-${category}`;
+            input.dataset.category = category;
+            input.setAttribute('aria-describedby', `consent-${category}-description`);
+            if (category === 'necessary') {
+                input.checked = true;
+                input.disabled = true;
+            }
+
+            const label = createText('label', 'consent-category-label', `consent.category.${category}`);
+            label.htmlFor = input.id;
+
+            const description = createText('p', 'consent-category-description', `consent.category.${category}Text`);
+            description.id = `consent-${category}-description`;
+
+            item.append(input, label, description);
+            form.appendChild(item);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+
+        const saveBtn = createButton('btn btn-primary', 'consent.save');
+        saveBtn.type = 'submit';
+
+        actions.append(
+            saveBtn,
+            createButton('btn btn-secondary', 'consent.acceptAll', () => {
+                acceptAll();
+                closePreferences();
+            })
+        );
+        form.appendChild(actions);
+
+        const closeBtn = createButton('consent-dialog-close', null, closePreferences);
+        closeBtn.dataset.consentLabel = 'consent.close';
+        closeBtn.innerHTML = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+        `;
+
+        panel.append(closeBtn, title, form);
+        element.append(overlay, panel);
+        return element;
+    }
+
+    /**
+     * Escape closes the dialog, Tab stays inside it
+     */
+    function handleDialogKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closePreferences();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = dialog.querySelectorAll('button, input:not([disabled])');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            last.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            first.focus();
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Click-to-load placeholder for third-party content that waits for a category
+     * Options: category, provider (name shown to the visitor), actions ([{ label, onClick }] shown after
+     * the built-in buttons). Allowing the category removes the placeholder; callers wait with whenGranted
+     */
+    function createPlaceholder(options = {}) {
+        const category = options.category || 'functional';
+
+        const element = document.createElement('div');
+        element.className = 'consent-placeholder';
+
+        const text = document.createElement('p');
+        text.className = 'consent-placeholder-text';
+        text.dataset.consentText = 'consent.placeholder';
+        text.dataset.consentParams = JSON.stringify({ provider: options.provider || '' });
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            createButton('btn btn-primary', 'consent.allowAndLoad', () => grant(category)),
+            createButton('btn btn-secondary', 'consent.settings', openPreferences)
+        );
+
+        (options.actions || []).forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            actions.appendChild(button);
+        });
+
+        element.append(text, actions);
+        updateTexts(element);
+
+        whenGranted(category).then(() => element.remove());
+
+        return element;
+    }
+
+    /**
+     * Hold back third-party images marked with data-consent-src until their category
+     * (data-consent-category, default functional) is allowed
+     * Images inside a [data-consent-region] share one placeholder, others get one each
+     */
+    function setupConsentImages() {
+        const regions = new Map();
+
+        document.querySelectorAll('img[data-consent-src]').forEach(image => {
+            const category = image.dataset.consentCategory || 'functional';
+
+            if (has(category)) {
+                loadConsentImage(image);
+                return;
+            }
+
+            const region = image.closest('[data-consent-region]') || image.parentElement;
+            if (!regions.has(region)) {
+                regions.set(region, { category, images: [] });
+            }
+            regions.get(region).images.push(image);
+            image.hidden = true;
+        });
+
+        regions.forEach(({ category, images }, region) => {
+            const hosts = images.map(image => getHost(image.dataset.consentSrc));
+
+            region.insertBefore(createPlaceholder({
+                category,
+                provider: Array.from(new Set(hosts)).join(', ')
+            }), region.firstChild);
+
+            whenGranted(category).then(() => images.forEach(loadConsentImage));
+        });
+    }
+
+    /**
+     * Load an image held back by setupConsentImages
+     */
+    function loadConsentImage(image) {
+        image.src = image.dataset.consentSrc;
+        image.removeAttribute('data-consent-src');
+        image.hidden = false;
+    }
+
+    /**
+     * Host name of a URL, shown in placeholders
+     */
+    function getHost(url) {
+        try {
+            return new URL(url, window.location.href).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Create an element whose text follows the site language
+     */
+    function createText(tagName, className, key) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        element.dataset.consentText = key;
+        return element;
+    }
+
+    /**
+     * Create a button with translated text
+     */
+    function createButton(className, key, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        if (key) {
+            button.dataset.consentText = key;
+        }
+        if (onClick) {
+            button.addEventListener('click', onClick);
+        }
+        return button;
+    }
+
+    /**
+     * Re-translate text and labels built by this script
+     */
+    function updateTexts(root) {
+        const scope = root instanceof Element ? root : document;
+
+        scope.querySelectorAll('[data-consent-text]').forEach(element => {
+            const params = element.dataset.consentParams ? JSON.parse(element.dataset.consentParams) : {};
+            element.textContent = t(element.dataset.consentText, params);
+        });
+
+        scope.querySelectorAll('[data-consent-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.consentLabel));
+        });
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    /**
+     * Get the stored choice (null before the visitor has chosen)
+     */
+    function getConsent() {
+        return consent ? { ...consent, categories: { necessary: true, ...consent.categories } } : null;
+    }
+
+    // Export public API
+    window.ConsentManager = {
+        has,
+        whenGranted,
+        update,
+        grant,
+        acceptAll,
+        rejectAll,
+        openPreferences,
+        createPlaceholder,
+        getConsent
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,354 @@
+/**
+ * Form drafts
+ * Saves unsent form input to localStorage and restores it after a reload
+ * Drafts hold personal details, so they are only kept with consent for the functional category
+ */
+
+(function() {
+    'use strict';
+
+    // Default draft settings - forms opt in through FormDrafts.enable
+    const DRAFT_DEFAULTS = {
+        ttlHours: 72, // Drafts older than this are discarded
+        exclude: [], // Field IDs that must never be stored
+        saveDelay: 500 // Wait for a pause in typing before saving
+    };
+
+    const STORAGE_PREFIX = 'melide:draft:';
+    const CONSENT_CATEGORY = 'functional';
+
+    // Field types that are never stored
+    const SKIPPED_TYPES = ['password', 'file', 'hidden', 'submit', 'button', 'reset'];
+
+    // Per-form state keyed by form ID
+    const drafts = {};
+
+    /**
+     * Enable draft persistence for a form and restore any saved draft
+     */
+    function enable(form, options = {}) {
+        if (!form || !form.id || drafts[form.id] || !isStorageAvailable()) return;
+
+        const settings = { ...DRAFT_DEFAULTS, ...options };
+        drafts[form.id] = { form, settings, saveTimeout: null };
+
+        if (hasConsent()) {
+            restore(form.id);
+        } else if (isConsentRefused()) {
+            removeStoredDraft(form.id);
+        }
+
+        const scheduleSave = () => {
+            const draft = drafts[form.id];
+            clearTimeout(draft.saveTimeout);
+            draft.saveTimeout = setTimeout(() => save(form.id), settings.saveDelay);
+        };
+
+        form.addEventListener('input', scheduleSave);
+        form.addEventListener('change', scheduleSave);
+    }
+
+    /**
+     * Save current field values
+     */
+    function save(formId) {
+        const draft = drafts[formId];
+        if (!draft || !hasConsent()) return;
+
+        const values = collectValues(draft.form, draft.settings);
+
+        // Nothing worth keeping
+        if (!Object.values(values).some(value => value !== false && String(value).trim() !== '')) {
+            removeStoredDraft(formId);
+            return;
+        }
+
+        const now = Date.now();
+        writeStoredDraft(formId, {
+            savedAt: now,
+            expiresAt: now + draft.settings.ttlHours * 60 * 60 * 1000,
+            values
+        });
+    }
+
+    /**
+     * Restore a saved draft into the form
+     */
+    function restore(formId) {
+        const draft = drafts[formId];
+        const stored = hasConsent() ? readStoredDraft(formId) : null;
+        if (!draft || !stored) return false;
+
+        if (!stored.values || stored.expiresAt < Date.now()) {
+            removeStoredDraft(formId);
+            return false;
+        }
+
+        let restoredCount = 0;
+
+        Object.keys(stored.values).forEach(name => {
+            const field = draft.form.elements.namedItem(name);
+            if (!field || !isDraftField(field, draft.settings)) return;
+
+            if (applyValue(field, stored.values[name])) {
+                restoredCount++;
+            }
+        });
+
+        if (restoredCount > 0) {
+            showRestoredNotice(draft.form);
+        }
+
+        return restoredCount > 0;
+    }
+
+    /**
+     * Clear a draft, e.g. after a successful submit
+     */
+    function clear(formId) {
+        const draft = drafts[formId];
+
+        if (draft) {
+            clearTimeout(draft.saveTimeout);
+            removeNotice(draft.form);
+        }
+
+        removeStoredDraft(formId);
+    }
+
+    /**
+     * Collect storable values keyed by field name
+     */
+    function collectValues(form, settings) {
+        const values = {};
+
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || !isDraftField(field, settings)) return;
+
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Check whether a field may be stored
+     */
+    function isDraftField(field, settings) {
+        // namedItem returns a RadioNodeList for radio groups
+        const element = field.length && !field.tagName ? field[0] : field;
+
+        if (SKIPPED_TYPES.includes(element.type)) return false;
+        if (settings.exclude.includes(element.id)) return false;
+        if (element.hasAttribute('data-draft-exclude')) return false;
+
+        // Never keep payment details
+        const autocomplete = element.getAttribute('autocomplete') || '';
+        return !autocomplete.startsWith('cc-');
+    }
+
+    /**
+     * Apply a stored value to a field and notify listeners (e.g. dependent selects)
+     * Returns true when something was restored
+     */
+    function applyValue(field, value) {
+        if (value === false || value === undefined || String(value).trim() === '') return false;
+
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+        }
+
+        if (field.length && !field.tagName) {
+            // Radio group
+            field.value = value;
+            return true;
+        }
+
+        if (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === value)) {
+            // Options may still be loading (e.g. the service catalog)
+            applyWhenOptionExists(field, value);
+            return true;
+        }
+
+        field.value = value;
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+    }
+
+    /**
+     * Select a value as soon as a matching option is rendered
+     */
+    function applyWhenOptionExists(select, value) {
+        const observer = new MutationObserver(() => {
+            const option = Array.from(select.options).find(candidate => candidate.value === value);
+            if (!option) return;
+
+            observer.disconnect();
+
+            // Respect choices the user made in the meantime
+            if (!select.value && !option.disabled) {
+                select.value = value;
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+
+        observer.observe(select, { childList: true });
+
+        // Stop waiting once the user picks something themselves
+        select.addEventListener('change', () => observer.disconnect(), { once: true });
+    }
+
+    /**
+     * Show a notice that a draft was restored, with an option to discard it
+     */
+    function showRestoredNotice(form) {
+        removeNotice(form);
+
+        const notice = document.createElement('div');
+        notice.className = 'form-draft-notice';
+        notice.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.textContent = t('drafts.restored');
+
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.className = 'form-draft-discard';
+        discardBtn.textContent = t('drafts.discard');
+        discardBtn.addEventListener('click', () => discard(form));
+
+        notice.append(message, discardBtn);
+        form.insertBefore(notice, form.firstChild);
+    }
+
+    /**
+     * Discard a restored draft and empty the form
+     */
+    function discard(form) {
+        clear(form.id);
+        form.reset();
+
+        // Let dependent fields (e.g. time slots) update
+        Array.from(form.elements).forEach(field => {
+            if (field.tagName === 'SELECT' || field.type === 'date') {
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+
+        if (window.FormValidator) {
+            window.FormValidator.resetValidation(form.id);
+        }
+
+        const firstField = form.querySelector('input, select, textarea');
+        if (firstField) {
+            firstField.focus();
+        }
+    }
+
+    /**
+     * Remove the restored notice
+     */
+    function removeNotice(form) {
+        const notice = form.querySelector('.form-draft-notice');
+        if (notice) {
+            notice.remove();
+        }
+    }
+
+    /**
+     * Check whether drafts may be stored (never without the consent manager on the page)
+     */
+    function hasConsent() {
+        return Boolean(window.ConsentManager && window.ConsentManager.has(CONSENT_CATEGORY));
+    }
+
+    /**
+     * Check whether the visitor chose not to allow the functional category
+     */
+    function isConsentRefused() {
+        return Boolean(window.ConsentManager && window.ConsentManager.getConsent() && !hasConsent());
+    }
+
+    /**
+     * Forget all stored drafts once consent is refused or withdrawn
+     */
+    function handleConsentChange() {
+        if (hasConsent()) return;
+
+        Object.keys(drafts).forEach(formId => {
+            clearTimeout(drafts[formId].saveTimeout);
+        });
+
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(STORAGE_PREFIX))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // Nothing to clean up if storage is unavailable
+        }
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    /**
+     * Storage helpers - storage can be unavailable (private mode) or full
+     */
+    function readStoredDraft(formId) {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_PREFIX + formId));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeStoredDraft(formId, data) {
+        try {
+            localStorage.setItem(STORAGE_PREFIX + formId, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save form draft:', error);
+        }
+    }
+
+    function removeStoredDraft(formId) {
+        try {
+            localStorage.removeItem(STORAGE_PREFIX + formId);
+        } catch (error) {
+            // Nothing to clean up if storage is unavailable
+        }
+    }
+
+    function isStorageAvailable() {
+        try {
+            const testKey = `${STORAGE_PREFIX}test`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    document.addEventListener('consent:changed', handleConsentChange);
+
+    // Export public API
+    window.FormDrafts = {
+        enable,
+        save,
+        restore,
+        clear
+    };
+
+})();
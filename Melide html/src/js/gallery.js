@@ -0,0 +1,482 @@
+/**
+ * Gallery
+ * Renders gallery items from a JSON manifest, pages them with "load more" and filters them
+ * by category, keeping the chosen category in the URL (?category=)
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration object - every .gallery-grid is a gallery; a grid can point at its own
+    // manifest with data-gallery-src
+    const GALLERY_CONFIG = {
+        url: '/src/data/gallery.json',
+        pageSize: 9,
+        queryParam: 'category',
+        allCategory: 'all',
+        // Lightbox deep links (see lightbox.js)
+        hashPrefix: '#photo-',
+        // Images from other sites wait for this consent category (see consent.js)
+        consentCategory: 'functional'
+    };
+
+    // Gallery instances in page order; the first one backs window.GalleryFilter
+    const galleries = [];
+
+    class Gallery {
+        /**
+         * Set up a gallery for a grid
+         * Filters, status and "load more" are looked up in the grid's section. The first grid keeps
+         * ?category= and #photo- links; a grid marked data-lightbox="<name>" uses ?<name>-category=
+         * and #<name>- instead, other grids leave the URL alone
+         */
+        constructor(grid, options = {}) {
+            const name = grid.dataset.lightbox || '';
+            const scope = grid.closest('section') || document;
+            const filterGroup = scope.querySelector('.gallery-filters');
+
+            // DOM elements
+            this.grid = grid;
+            this.filterButtons = filterGroup ? Array.from(filterGroup.querySelectorAll('[data-filter]')) : [];
+            this.filterStatus = scope.querySelector('.gallery-filter-status');
+            this.loadMoreButton = scope.querySelector('.gallery-load-more');
+
+            // URL state
+            this.isPrimary = Boolean(options.isPrimary);
+            this.queryParam = name
+                ? `${name}-${GALLERY_CONFIG.queryParam}`
+                : (this.isPrimary ? GALLERY_CONFIG.queryParam : null);
+            this.hashPrefix = name ? `#${name}-` : (this.isPrimary ? GALLERY_CONFIG.hashPrefix : false);
+
+            // State
+            this.manifestItems = [];
+            this.itemElements = new Map();
+            this.activeCategory = GALLERY_CONFIG.allCategory;
+            this.visibleCount = GALLERY_CONFIG.pageSize;
+            this.isWaitingForConsent = false;
+
+            this.filterButtons.forEach(button => {
+                button.addEventListener('click', () => this.setCategory(button.dataset.filter));
+            });
+
+            if (this.loadMoreButton) {
+                this.loadMoreButton.addEventListener('click', () => this.loadMore());
+            }
+
+            // Shared links open with their category already applied
+            if (this.queryParam) {
+                this.activeCategory = this.normalizeCategory(new URL(window.location.href).searchParams.get(this.queryParam));
+            }
+            this.updateFilterButtons();
+
+            this.loadGallery();
+        }
+
+        /**
+         * Load the manifest and render the first page
+         */
+        loadGallery() {
+            this.grid.setAttribute('aria-busy', 'true');
+
+            return loadManifest(this.grid.dataset.gallerySrc || GALLERY_CONFIG.url)
+                .then((items) => {
+                    this.manifestItems = items;
+                    this.revealLinkedItem();
+
+                    if (this.needsConsent()) {
+                        this.showConsentPlaceholder();
+                    } else {
+                        this.render();
+                    }
+                })
+                .catch((error) => {
+                    console.error('Error loading gallery:', error);
+                    this.grid.setAttribute('aria-busy', 'false');
+
+                    if (window.MainApp && window.MainApp.showToast) {
+                        window.MainApp.showToast(t('gallery.loadFailed'), 'error', {
+                            actions: [{ label: t('toast.retry'), onClick: () => this.loadGallery() }]
+                        });
+                    }
+                });
+        }
+
+        /**
+         * Whether rendering would load images from another site without consent
+         */
+        needsConsent() {
+            return Boolean(window.ConsentManager) &&
+                !window.ConsentManager.has(GALLERY_CONFIG.consentCategory) &&
+                this.getThirdPartyHosts().length > 0;
+        }
+
+        /**
+         * Hosts other than this site that manifest images are loaded from
+         */
+        getThirdPartyHosts() {
+            const hosts = new Set();
+
+            this.manifestItems.forEach(item => {
+                [item.src, item.full, item.placeholder].filter(Boolean).forEach(src => {
+                    const url = new URL(src, window.location.href);
+                    if (url.origin !== window.location.origin) {
+                        hosts.add(url.hostname);
+                    }
+                });
+            });
+
+            return Array.from(hosts);
+        }
+
+        /**
+         * Ask for consent in place of the items and render them once it is given
+         */
+        showConsentPlaceholder() {
+            this.isWaitingForConsent = true;
+
+            this.grid.replaceChildren(window.ConsentManager.createPlaceholder({
+                category: GALLERY_CONFIG.consentCategory,
+                provider: this.getThirdPartyHosts().join(', ')
+            }));
+            this.grid.setAttribute('aria-busy', 'false');
+
+            if (this.loadMoreButton) {
+                this.loadMoreButton.hidden = true;
+            }
+
+            window.ConsentManager.whenGranted(GALLERY_CONFIG.consentCategory).then(() => {
+                this.isWaitingForConsent = false;
+                this.render();
+            });
+        }
+
+        /**
+         * Show the current page of items for the active category
+         * Item elements are created once and reused, so images are not reloaded when filtering
+         */
+        render() {
+            const items = this.getFilteredItems();
+            const shownItems = items.slice(0, this.visibleCount);
+
+            this.grid.replaceChildren(...shownItems.map(item => this.getItemElement(item)));
+            this.grid.setAttribute('aria-busy', 'false');
+
+            if (this.loadMoreButton) {
+                this.loadMoreButton.hidden = shownItems.length >= items.length;
+            }
+
+            // Lightbox navigation and counter only cover the items shown
+            const lightbox = this.getLightbox();
+            if (lightbox) {
+                lightbox.refresh();
+            }
+        }
+
+        /**
+         * The grid's Lightbox, created when lightbox.js has not set one up for it
+         */
+        getLightbox() {
+            if (!window.Lightbox) return null;
+
+            return window.Lightbox.getInstance(this.grid) || new window.Lightbox(this.grid, {
+                lightbox: this.isPrimary && !this.grid.dataset.lightbox ? '#lightbox' : null,
+                hashPrefix: this.hashPrefix
+            });
+        }
+
+        /**
+         * Show the next page and move focus to its first item
+         */
+        loadMore() {
+            const firstNewIndex = this.visibleCount;
+            this.visibleCount += GALLERY_CONFIG.pageSize;
+            this.render();
+
+            const firstNewItem = this.getFilteredItems()[firstNewIndex];
+            if (firstNewItem) {
+                this.getItemElement(firstNewItem).focus();
+            }
+
+            this.updateFilterStatus();
+        }
+
+        /**
+         * Make sure an image linked with #photo-<id> is on the shown pages
+         */
+        revealLinkedItem() {
+            const hash = decodeURIComponent(window.location.hash);
+            if (!this.hashPrefix || !hash.startsWith(this.hashPrefix)) return;
+
+            const id = hash.slice(this.hashPrefix.length);
+            const index = this.getFilteredItems().findIndex(item => item.id === id);
+
+            if (index >= this.visibleCount) {
+                this.visibleCount = Math.ceil((index + 1) / GALLERY_CONFIG.pageSize) * GALLERY_CONFIG.pageSize;
+            }
+        }
+
+        /**
+         * Get the element for a manifest item, creating it on first use
+         */
+        getItemElement(item) {
+            if (!this.itemElements.has(item.id)) {
+                this.itemElements.set(item.id, createItemElement(item));
+            }
+            return this.itemElements.get(item.id);
+        }
+
+        /**
+         * Show a category and reflect it in the URL
+         */
+        setCategory(category) {
+            this.activeCategory = this.normalizeCategory(category);
+            this.visibleCount = GALLERY_CONFIG.pageSize;
+
+            this.updateFilterButtons();
+            this.updateUrl();
+
+            if (this.manifestItems.length && !this.isWaitingForConsent) {
+                this.render();
+                this.updateFilterStatus();
+            }
+        }
+
+        /**
+         * Fall back to all items for unknown categories
+         */
+        normalizeCategory(category) {
+            const isKnown = this.filterButtons.some(button => button.dataset.filter === category);
+            return isKnown ? category : GALLERY_CONFIG.allCategory;
+        }
+
+        /**
+         * Manifest items in the active category
+         */
+        getFilteredItems() {
+            return this.manifestItems.filter(item => matchesCategory(item, this.activeCategory));
+        }
+
+        /**
+         * Mark the active filter button
+         */
+        updateFilterButtons() {
+            this.filterButtons.forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.filter === this.activeCategory));
+            });
+        }
+
+        /**
+         * Keep the category query parameter in sync without adding history entries
+         */
+        updateUrl() {
+            if (!this.queryParam) return;
+
+            const url = new URL(window.location.href);
+
+            if (this.activeCategory === GALLERY_CONFIG.allCategory) {
+                url.searchParams.delete(this.queryParam);
+            } else {
+                url.searchParams.set(this.queryParam, this.activeCategory);
+            }
+
+            history.replaceState(history.state, '', url.href);
+        }
+
+        /**
+         * Tell screen reader users how many items are shown
+         */
+        updateFilterStatus() {
+            if (!this.filterStatus) return;
+
+            this.filterStatus.textContent = t('gallery.showing', {
+                count: this.grid.querySelectorAll('.gallery-item').length,
+                total: this.getFilteredItems().length
+            });
+        }
+
+        /**
+         * Captions, alt text and status follow the site language
+         */
+        updateText() {
+            this.manifestItems.forEach(item => {
+                if (this.itemElements.has(item.id)) {
+                    updateItemText(this.itemElements.get(item.id), item);
+                }
+            });
+
+            if (this.filterStatus && this.filterStatus.textContent) {
+                this.updateFilterStatus();
+            }
+        }
+    }
+
+    /**
+     * Initialize a gallery for every grid on the page
+     */
+    function init() {
+        try {
+            document.querySelectorAll('.gallery-grid').forEach((grid, index) => {
+                galleries.push(new Gallery(grid, { isPrimary: index === 0 }));
+            });
+        } catch (error) {
+            console.error('Error initializing gallery:', error);
+        }
+    }
+
+    /**
+     * Fetch manifest items, newest first
+     */
+    function loadManifest(url) {
+        return fetch(url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load gallery manifest: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((data) => (data.items || [])
+                .filter(item => item && item.id && item.src)
+                .sort((a, b) => String(b.date || '').localeCompare(String(a.date || ''))));
+    }
+
+    /**
+     * Build a gallery item in the markup lightbox.js reads (img data-full/data-srcset, overlay title and description)
+     */
+    function createItemElement(item) {
+        const element = document.createElement('div');
+        element.className = 'gallery-item is-loading';
+        element.dataset.slug = item.id;
+        element.dataset.category = item.category || '';
+        element.tabIndex = 0;
+        element.setAttribute('role', 'button');
+
+        // Blurred low-resolution preview until the thumbnail has loaded
+        if (item.placeholder) {
+            element.classList.add('has-placeholder');
+            element.style.setProperty('--placeholder', `url("${String(item.placeholder).replace(/"/g, '%22')}")`);
+        }
+
+        const img = document.createElement('img');
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        if (item.width && item.height) {
+            // Reserves the space before the image arrives
+            img.width = item.width;
+            img.height = item.height;
+        }
+        img.dataset.full = item.full || item.src;
+        if (item.srcset) {
+            img.dataset.srcset = item.srcset;
+        }
+
+        const markLoaded = () => element.classList.remove('is-loading');
+        img.addEventListener('load', markLoaded, { once: true });
+        img.addEventListener('error', markLoaded, { once: true });
+        img.src = item.src;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'gallery-overlay';
+
+        const info = document.createElement('div');
+        info.className = 'gallery-info';
+
+        const title = document.createElement('h3');
+        title.className = 'gallery-title';
+
+        const description = document.createElement('p');
+        description.className = 'gallery-description';
+
+        info.append(title, description);
+
+        if (item.date) {
+            const date = document.createElement('time');
+            date.className = 'gallery-date';
+            date.dateTime = item.date;
+            info.appendChild(date);
+        }
+
+        overlay.appendChild(info);
+        element.append(img, overlay);
+
+        updateItemText(element, item);
+        return element;
+    }
+
+    /**
+     * Fill in captions, alt text and labels for the page language
+     */
+    function updateItemText(element, item) {
+        const title = getLocalizedText(item.title);
+        const alt = getLocalizedText(item.alt) || title;
+
+        element.setAttribute('aria-label', t('gallery.viewImage', { title: alt }));
+        element.querySelector('img').alt = alt;
+        element.querySelector('.gallery-title').textContent = title;
+        element.querySelector('.gallery-description').textContent = getLocalizedText(item.description);
+
+        const date = element.querySelector('.gallery-date');
+        if (date) {
+            date.textContent = formatDate(item.date);
+        }
+    }
+
+    /**
+     * Pick the text for the page language from a { ka, en } object
+     */
+    function getLocalizedText(text) {
+        if (!text || typeof text === 'string') return text || '';
+
+        const lang = window.I18n ? window.I18n.getLanguage() : (document.documentElement.lang || 'ka');
+        return text[lang] || text.ka || text.en || '';
+    }
+
+    /**
+     * Format YYYY-MM-DD as month and year in the page language
+     */
+    function formatDate(date) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+        if (!match) return date || '';
+
+        const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return day.toLocaleDateString(document.documentElement.lang || 'ka', {
+            year: 'numeric',
+            month: 'long'
+        });
+    }
+
+    /**
+     * Check an item against a category (category may list several, separated by spaces)
+     */
+    function matchesCategory(item, category) {
+        if (category === GALLERY_CONFIG.allCategory) return true;
+
+        return String(item.category || '').split(/\s+/).includes(category);
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    // Export public API (drives the first gallery on the page)
+    window.GalleryFilter = {
+        setCategory: (category) => galleries[0] && galleries[0].setCategory(category),
+        getCategory: () => (galleries[0] ? galleries[0].activeCategory : GALLERY_CONFIG.allCategory)
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Captions follow the site language. Registered here, before lightbox.js loads,
+    // so an open lightbox re-reads captions that are already translated
+    document.addEventListener('language:changed', () => {
+        galleries.forEach(gallery => gallery.updateText());
+    });
+
+})();
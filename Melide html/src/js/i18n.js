@@ -0,0 +1,225 @@
+/**
+ * Message catalog
+ * Resolves UI strings for the page language (html lang attribute) with Georgian and English bundles
+ */
+
+(function() {
+    'use strict';
+
+    // Used when the page language has no bundle or a key is missing from it
+    const DEFAULT_LANGUAGE = 'ka';
+    const FALLBACK_LANGUAGE = 'en';
+
+    // Placeholders like {min} are replaced with params passed to t()
+    const MESSAGES = {
+        ka: {
+            'validation.required': 'ეს ველი სავალდებულოა',
+            'validation.email': 'გთხოვთ, შეიყვანოთ სწორი ელ-ფოსტის მისამართი',
+            'validation.phone': 'გთხოვთ, შეიყვანოთ სწორი ტელეფონის ნომერი, მაგ. 555 12 34 56 ან +995 555 12 34 56',
+            'validation.minLength': 'უნდა შეიცავდეს მინიმუმ {min} სიმბოლოს',
+            'validation.maxLength': 'უნდა შეიცავდეს მაქსიმუმ {max} სიმბოლოს',
+            'validation.date': 'გთხოვთ, აირჩიოთ დღევანდელი ან შემდგომი თარიღი, როცა ღია ვართ',
+            'validation.dateTooFar': 'ჯავშანი შესაძლებელია მაქსიმუმ {days} დღით ადრე',
+            'validation.matches': 'უნდა ემთხვეოდეს ველს „{label}“',
+            'validation.after': 'უნდა იყოს ველის „{label}“ მნიშვნელობაზე გვიან',
+            'validation.otherField': 'სხვა ველი',
+
+            'form.correctErrors': 'გთხოვთ, გაასწოროთ ქვემოთ მითითებული შეცდომები',
+            'form.sent': 'შეტყობინება გაიგზავნა! მალე დაგიკავშირდებით.',
+            'form.failed': 'რაღაც შეცდომა მოხდა. გთხოვთ, სცადოთ მოგვიანებით.',
+
+            'toast.close': 'შეტყობინების დახურვა',
+            'toast.retry': 'თავიდან ცდა',
+
+            'drafts.restored': 'თქვენი გაუგზავნელი მონახაზი აღდგენილია.',
+            'drafts.discard': 'მონახაზის წაშლა',
+
+            'booking.submitted': 'ჯავშნის მოთხოვნა გაიგზავნა! მალე დაგიკავშირდებით დასადასტურებლად.',
+            'booking.failed': 'ჯავშნის გაგზავნა ვერ მოხერხდა. გთხოვთ, სცადოთ თავიდან ან დაგვიკავშირდეთ პირდაპირ.',
+            'booking.slotTaken': 'ეს დრო უკვე დაკავებულია, გთხოვთ, აირჩიოთ სხვა',
+            'booking.calendarReference': 'ჯავშნის ნომერი: {reference}',
+            'booking.selectDateFirst': 'ჯერ აირჩიეთ თარიღი',
+            'booking.selectTime': 'აირჩიეთ დრო',
+            'booking.noTimes': 'ამ დღეს თავისუფალი დრო არ არის',
+            'booking.timesFailed': 'თავისუფალი დროის ჩატვირთვა ვერ მოხერხდა',
+            'booking.step': 'ნაბიჯი {current} / {total}: {title}',
+            'booking.edit': 'შეცვლა',
+            'booking.editField': 'შეცვლა: {label}',
+            'booking.timeUnavailable': '{time} (დაკავებულია)',
+            'booking.providerFallback': 'ონლაინ ჯავშნის სისტემა ვერ ჩაიტვირთა, ამიტომ შეგიძლიათ ჩვენი ჯავშნის ფორმით ისარგებლოთ.',
+            'booking.retrying': 'ჯავშნის სისტემა თავიდან იტვირთება',
+            'booking.useAlternative': 'სხვა გზით დაჯავშნა',
+
+            'services.book': 'დაჯავშნა',
+            'services.minutes': '{minutes} წთ',
+            'services.hours': '{hours} სთ',
+            'services.hoursMinutes': '{hours} სთ {minutes} წთ',
+
+            'gallery.showing': 'ნაჩვენებია {count} სურათი {total}-დან',
+            'gallery.viewImage': 'უფრო დიდი ფოტოს ნახვა: {title}',
+            'gallery.loadFailed': 'გალერეის ჩატვირთვა ვერ მოხერხდა',
+
+            'lightbox.opened': 'გალერეის სურათი გაიხსნა',
+            'lightbox.closed': 'გალერეის სურათი დაიხურა',
+            'lightbox.previous': 'წინა სურათი: {current} / {total}',
+            'lightbox.next': 'შემდეგი სურათი: {current} / {total}',
+            'lightbox.imageTitle': 'სურათი {number}',
+            'lightbox.counter': '{current} / {total}',
+            'lightbox.playSlideshow': 'სლაიდშოუს ჩართვა',
+            'lightbox.pauseSlideshow': 'სლაიდშოუს შეჩერება',
+            'lightbox.slideshowStarted': 'სლაიდშოუ ჩაირთო',
+            'lightbox.slideshowStopped': 'სლაიდშოუ შეჩერდა',
+            'lightbox.loadFailed': 'სურათის ჩატვირთვა ვერ მოხერხდა',
+            'lightbox.unavailable': 'სურათი მიუწვდომელია',
+            'lightbox.unavailableText': 'სამწუხაროდ, ამ სურათის ჩატვირთვა ვერ მოხერხდა.',
+            'consent.bannerLabel': 'ქუქი-ფაილების თანხმობა',
+            'consent.bannerText': 'ვიყენებთ აუცილებელ ქუქი-ფაილებს საიტის მუშაობისთვის. თქვენი თანხმობით ასევე ვტვირთავთ გარე სერვისებს (ონლაინ ჯავშანი, გალერეის სურათები) და ვაგროვებთ ანონიმურ სტატისტიკას.',
+            'consent.acceptAll': 'ყველას დაშვება',
+            'consent.rejectAll': 'მხოლოდ აუცილებელი',
+            'consent.customize': 'პარამეტრები',
+            'consent.preferencesTitle': 'ქუქი-ფაილების პარამეტრები',
+            'consent.save': 'არჩევანის შენახვა',
+            'consent.close': 'დახურვა',
+            'consent.settings': 'ქუქი-ფაილების პარამეტრები',
+            'consent.allowAndLoad': 'დაშვება და ჩატვირთვა',
+            'consent.placeholder': 'ეს შიგთავსი იტვირთება {provider}-დან, რომელსაც შეუძლია ქუქი-ფაილების შენახვა. ჩასატვირთად დაუშვით ფუნქციური ქუქი-ფაილები.',
+            'consent.category.necessary': 'აუცილებელი',
+            'consent.category.necessaryText': 'საჭიროა საიტის მუშაობისთვის, მაგ. ენის არჩევანისა და ამ პარამეტრების დასამახსოვრებლად.',
+            'consent.category.functional': 'ფუნქციური',
+            'consent.category.functionalText': 'გარე სერვისები, როგორიცაა Setmore-ის ონლაინ ჯავშანი და Unsplash-ის სურათები.',
+            'consent.category.analytics': 'ანალიტიკა',
+            'consent.category.analyticsText': 'ანონიმური სტატისტიკა იმის შესახებ, როგორ იყენებენ ვიზიტორები საიტს.'
+        },
+        en: {
+            'validation.required': 'This field is required',
+            'validation.email': 'Please enter a valid email address',
+            'validation.phone': 'Please enter a valid phone number, e.g. 555 12 34 56 or +995 555 12 34 56',
+            'validation.minLength': 'Must be at least {min} characters long',
+            'validation.maxLength': 'Must be no more than {max} characters long',
+            'validation.date': 'Please select a date from today onwards when we are open',
+            'validation.dateTooFar': 'Bookings can be made up to {days} days ahead',
+            'validation.matches': 'Must match {label}',
+            'validation.after': 'Must be later than {label}',
+            'validation.otherField': 'the other field',
+
+            'form.correctErrors': 'Please correct the errors below',
+            'form.sent': 'Message sent successfully! We\'ll get back to you soon.',
+            'form.failed': 'Something went wrong. Please try again later.',
+
+            'toast.close': 'Close notification',
+            'toast.retry': 'Retry',
+
+            'drafts.restored': 'We restored your unsent draft.',
+            'drafts.discard': 'Discard draft',
+
+            'booking.submitted': 'Booking request submitted! We\'ll contact you soon to confirm your appointment.',
+            'booking.failed': 'We could not submit your booking. Please try again or contact us directly.',
+            'booking.slotTaken': 'This time is no longer available, please choose another',
+            'booking.calendarReference': 'Booking reference: {reference}',
+            'booking.selectDateFirst': 'Select a date first',
+            'booking.selectTime': 'Select a time',
+            'booking.noTimes': 'No times available on this day',
+            'booking.timesFailed': 'Could not load available times',
+            'booking.step': 'Step {current} of {total}: {title}',
+            'booking.edit': 'Edit',
+            'booking.editField': 'Edit: {label}',
+            'booking.timeUnavailable': '{time} (unavailable)',
+            'booking.providerFallback': 'The online booking system could not be loaded, so you can use our booking form instead.',
+            'booking.retrying': 'Loading the booking system again',
+            'booking.useAlternative': 'Book another way',
+
+            'services.book': 'Book',
+            'services.minutes': '{minutes} min',
+            'services.hours': '{hours} h',
+            'services.hoursMinutes': '{hours} h {minutes} min',
+
+            'gallery.showing': 'Showing {count} of {total} images',
+            'gallery.viewImage': 'View larger image: {title}',
+            'gallery.loadFailed': 'Could not load the gallery',
+
+            'lightbox.opened': 'Gallery image opened',
+            'lightbox.closed': 'Gallery image closed',
+            'lightbox.previous': 'Previous image: {current} of {total}',
+            'lightbox.next': 'Next image: {current} of {total}',
+            'lightbox.imageTitle': 'Image {number}',
+            'lightbox.counter': '{current} of {total}',
+            'lightbox.playSlideshow': 'Play slideshow',
+            'lightbox.pauseSlideshow': 'Pause slideshow',
+            'lightbox.slideshowStarted': 'Slideshow started',
+            'lightbox.slideshowStopped': 'Slideshow paused',
+            'lightbox.loadFailed': 'Failed to load image',
+            'lightbox.unavailable': 'Image unavailable',
+            'lightbox.unavailableText': 'Sorry, this image could not be loaded.',
+            'consent.bannerLabel': 'Cookie consent',
+            'consent.bannerText': 'We use necessary cookies to run this site. With your consent we also load third-party services (online booking, gallery images) and collect anonymous statistics.',
+            'consent.acceptAll': 'Accept all',
+            'consent.rejectAll': 'Necessary only',
+            'consent.customize': 'Preferences',
+            'consent.preferencesTitle': 'Cookie preferences',
+            'consent.save': 'Save choices',
+            'consent.close': 'Close',
+            'consent.settings': 'Cookie settings',
+            'consent.allowAndLoad': 'Allow and load',
+            'consent.placeholder': 'This content is loaded from {provider}, which may set cookies. Allow functional cookies to load it.',
+            'consent.category.necessary': 'Necessary',
+            'consent.category.necessaryText': 'Needed for the site to work, e.g. to remember your language and these settings.',
+            'consent.category.functional': 'Functional',
+            'consent.category.functionalText': 'Third-party services such as Setmore online booking and Unsplash images.',
+            'consent.category.analytics': 'Analytics',
+            'consent.category.analyticsText': 'Anonymous statistics about how visitors use the site.'
+        }
+    };
+
+    /**
+     * Current language, e.g. "ka" for lang="ka-GE"
+     */
+    function getLanguage() {
+        const lang = (document.documentElement.lang || DEFAULT_LANGUAGE).toLowerCase().split('-')[0];
+        return MESSAGES[lang] ? lang : DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Translate a key for the current language
+     * Unknown keys are returned as-is, so plain strings can be passed through
+     */
+    function t(key, params = {}) {
+        const lang = getLanguage();
+        const template = [lang, DEFAULT_LANGUAGE, FALLBACK_LANGUAGE]
+            .map(candidate => MESSAGES[candidate] && MESSAGES[candidate][key])
+            .find(message => message !== undefined);
+
+        return interpolate(template === undefined ? String(key) : template, params);
+    }
+
+    /**
+     * Check whether a key exists in any bundle
+     */
+    function has(key) {
+        return Object.keys(MESSAGES).some(lang => MESSAGES[lang][key] !== undefined);
+    }
+
+    /**
+     * Add or override messages for a language
+     */
+    function addMessages(lang, messages) {
+        MESSAGES[lang] = { ...MESSAGES[lang], ...messages };
+    }
+
+    /**
+     * Replace {name} placeholders, leaving unknown ones untouched
+     */
+    function interpolate(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        ));
+    }
+
+    // Export public API
+    window.I18n = {
+        t,
+        has,
+        addMessages,
+        getLanguage
+    };
+
+})();
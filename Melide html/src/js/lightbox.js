@@ -1,427 +1,1420 @@
 /**
  * Lightbox functionality for gallery images
  * Supports keyboard navigation, focus management, and accessibility
+ *
+ * Each gallery container gets its own Lightbox instance (new Lightbox(container, options), or
+ * declaratively with data-lightbox="<name>"); window.LightboxManager drives the default one
+ * for .gallery-grid and #lightbox
  */
 
 (function() {
     'use strict';
 
-    // DOM elements
-    let lightbox = null;
-    let lightboxImage = null;
-    let lightboxTitle = null;
-    let lightboxDescription = null;
-    let lightboxCounter = null;
-    let lightboxClose = null;
-    let lightboxPrev = null;
-    let lightboxNext = null;
-    let lightboxOverlay = null;
-
-    // State
-    let currentIndex = 0;
-    let galleryItems = [];
-    let isOpen = false;
-    let focusedElementBeforeModal = null;
+    // Per-instance defaults
+    const LIGHTBOX_DEFAULTS = {
+        itemSelector: '.gallery-item',
+        // Lightbox element or selector; one is created when it is missing
+        lightbox: null,
+        // Open images get a shareable #photo-<slug> URL (slug from data-slug, else the item's position);
+        // false turns deep links off
+        hashPrefix: '#photo-',
+        // Slideshow interval in milliseconds, falls back to data-slideshow-interval on the lightbox
+        slideshowInterval: null
+    };
 
-    /**
-     * Initialize lightbox functionality
-     */
-    function init() {
-        try {
-            setupLightbox();
-            setupGalleryItems();
-            setupEventListeners();
-        } catch (error) {
-            console.error('Error initializing lightbox:', error);
+    // Distances in CSS pixels
+    const GESTURE_CONFIG = {
+        swipeDistance: 50,
+        closeDistance: 80,
+        tapTolerance: 10,
+        doubleTapDelay: 300,
+        doubleTapScale: 2.5,
+        maxScale: 4,
+        wheelZoomSpeed: 0.002
+    };
+
+    // Slideshow timing in milliseconds
+    const SLIDESHOW_CONFIG = {
+        interval: 5000,
+        minInterval: 2000,
+        // Minimum for visitors who prefer reduced motion
+        reducedMotionInterval: 10000
+    };
+
+    // The lightbox shows images at up to 90% of the viewport width (see .lightbox-content)
+    const IMAGE_CONFIG = {
+        viewportFraction: 0.9,
+        maxPixelRatio: 2
+    };
+
+    // Full-size sources already requested, shared by all instances
+    const preloadedSources = new Set();
+
+    // Instances by gallery container
+    const instances = new WeakMap();
+
+    // Used for the ids of created lightbox elements
+    let createdCount = 0;
+
+    // Default instance behind window.LightboxManager
+    let defaultLightbox = null;
+
+    class Lightbox {
+        /**
+         * Set up a lightbox for the items in a gallery container
+         */
+        constructor(container, options = {}) {
+            const galleryContainer = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!galleryContainer) {
+                throw new TypeError('Lightbox needs a gallery container');
+            }
+
+            this.options = { ...LIGHTBOX_DEFAULTS, ...options };
+            this.galleryContainer = galleryContainer;
+
+            // State
+            this.currentIndex = 0;
+            this.galleryItems = [];
+            this.isOpen = false;
+            this.focusedElementBeforeModal = null;
+
+            // The in-flight load of the current image
+            this.pendingImage = null;
+
+            // Slideshow state: the timer has `remaining` ms left from `startedAt` and
+            // waits while any pause reason (hover, focus, visibility) is active
+            this.slideshow = {
+                isPlaying: false,
+                interval: null,
+                timer: null,
+                startedAt: 0,
+                remaining: 0,
+                pauseReasons: new Set()
+            };
+
+            // Gesture state: pointers currently down, the gesture in progress and the image zoom/pan
+            this.activePointers = new Map();
+            this.gesture = null;
+            this.lastTapTime = 0;
+            this.zoom = { scale: 1, x: 0, y: 0 };
+
+            // Document and window listeners, kept so destroy() can remove them
+            this.handleKeydown = this.handleKeydown.bind(this);
+            this.handlePopState = this.handlePopState.bind(this);
+            this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+            this.handleResize = this.handleResize.bind(this);
+            this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+            this.setupLightbox();
+            this.setupGalleryItems();
+            this.setupEventListeners();
+            this.openFromHash();
+
+            instances.set(galleryContainer, this);
         }
-    }
 
-    /**
-     * Setup lightbox DOM elements
-     */
-    function setupLightbox() {
-        lightbox = document.getElementById('lightbox');
-        if (!lightbox) return;
-
-        lightboxImage = document.getElementById('lightbox-image');
-        lightboxTitle = document.getElementById('lightbox-title');
-        lightboxDescription = document.getElementById('lightbox-description');
-        lightboxCounter = document.getElementById('lightbox-counter');
-        lightboxClose = document.getElementById('lightbox-close');
-        lightboxPrev = document.getElementById('lightbox-prev');
-        lightboxNext = document.getElementById('lightbox-next');
-        lightboxOverlay = lightbox.querySelector('.lightbox-overlay');
-    }
+        /**
+         * Get the instance for a gallery container, if any
+         */
+        static getInstance(container) {
+            return instances.get(container) || null;
+        }
 
-    /**
-     * Setup gallery items
-     */
-    function setupGalleryItems() {
-        const galleryContainer = document.querySelector('.gallery-grid');
-        if (!galleryContainer) return;
-
-        galleryItems = Array.from(galleryContainer.querySelectorAll('.gallery-item'));
-        
-        galleryItems.forEach((item, index) => {
-            item.addEventListener('click', () => openLightbox(index));
-            item.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+        /**
+         * Setup lightbox DOM elements
+         */
+        setupLightbox() {
+            const lightbox = this.options.lightbox;
+            this.lightbox = (typeof lightbox === 'string' ? document.querySelector(lightbox) : lightbox) ||
+                createLightboxElement();
+
+            const find = (selector) => this.lightbox.querySelector(selector);
+
+            this.lightboxImage = find('.lightbox-image');
+            this.lightboxTitle = find('.lightbox-title');
+            this.lightboxDescription = find('.lightbox-description');
+            this.lightboxCounter = find('.lightbox-counter');
+            this.lightboxClose = find('.lightbox-close');
+            this.lightboxPrev = find('.lightbox-prev');
+            this.lightboxNext = find('.lightbox-next');
+            this.lightboxOverlay = find('.lightbox-overlay');
+            this.imageContainer = find('.lightbox-image-container');
+            this.lightboxPlay = find('.lightbox-play');
+            this.lightboxProgress = find('.lightbox-progress');
+
+            // Dragging is handled by the gestures, not the browser's image drag
+            if (this.lightboxImage) {
+                this.lightboxImage.draggable = false;
+            }
+        }
+
+        /**
+         * Setup gallery items
+         * Listeners are delegated to the container, so rendered or re-rendered items need no binding
+         */
+        setupGalleryItems() {
+            this.updateGalleryItems();
+
+            this.galleryContainer.addEventListener('click', (e) => {
+                this.openGalleryItem(e.target.closest(this.options.itemSelector));
+            });
+
+            this.galleryContainer.addEventListener('keydown', (e) => {
+                const item = e.target.closest(this.options.itemSelector);
+                if (item && (e.key === 'Enter' || e.key === ' ')) {
                     e.preventDefault();
-                    openLightbox(index);
+                    this.openGalleryItem(item);
                 }
             });
-        });
-    }
+        }
 
-    /**
-     * Setup event listeners
-     */
-    function setupEventListeners() {
-        if (!lightbox) return;
+        /**
+         * Open the lightbox at a clicked gallery item
+         */
+        openGalleryItem(item) {
+            if (!item || !this.galleryContainer.contains(item)) return;
+
+            // Items added since the last refresh are picked up here
+            if (!this.galleryItems.includes(item)) {
+                this.updateGalleryItems();
+            }
 
-        // Close button
-        if (lightboxClose) {
-            lightboxClose.addEventListener('click', closeLightbox);
+            this.open(this.galleryItems.indexOf(item));
         }
 
-        // Navigation buttons
-        if (lightboxPrev) {
-            lightboxPrev.addEventListener('click', showPreviousImage);
+        /**
+         * Re-read the navigable items
+         * Hidden items (e.g. filtered out by category) are left out of navigation and the counter
+         */
+        updateGalleryItems() {
+            const currentItem = this.isOpen ? this.galleryItems[this.currentIndex] : null;
+
+            this.galleryItems = Array.from(this.galleryContainer.querySelectorAll(this.options.itemSelector))
+                .filter(item => !item.hidden);
+
+            if (currentItem) {
+                const index = this.galleryItems.indexOf(currentItem);
+
+                if (index === -1) {
+                    this.close({ history: 'replace' });
+                } else {
+                    this.currentIndex = index;
+                    this.updateNavigation();
+                    this.updateCounter();
+
+                    if (this.galleryItems.length <= 1) {
+                        this.stopSlideshow();
+                    }
+                }
+            }
         }
 
-        if (lightboxNext) {
-            lightboxNext.addEventListener('click', showNextImage);
+        /**
+         * Setup event listeners
+         */
+        setupEventListeners() {
+            // Close button
+            if (this.lightboxClose) {
+                this.lightboxClose.addEventListener('click', () => this.close());
+            }
+
+            // Navigation buttons
+            if (this.lightboxPrev) {
+                this.lightboxPrev.addEventListener('click', () => this.showPreviousImage());
+            }
+
+            if (this.lightboxNext) {
+                this.lightboxNext.addEventListener('click', () => this.showNextImage());
+            }
+
+            // Overlay click to close
+            if (this.lightboxOverlay) {
+                this.lightboxOverlay.addEventListener('click', () => this.close());
+            }
+
+            // Slideshow
+            if (this.lightboxPlay) {
+                this.lightboxPlay.addEventListener('click', () => this.toggleSlideshow());
+            }
+            this.setupSlideshowPausing();
+
+            // Wheel zooms the image instead of scrolling the page
+            this.lightbox.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+
+            // Swipe, pinch, double-tap and pan
+            if (this.imageContainer && this.lightboxImage) {
+                this.setupGestures();
+            }
+
+            // Handle image load errors
+            if (this.lightboxImage) {
+                this.lightboxImage.addEventListener('error', () => this.handleImageError());
+            }
+
+            // Keyboard navigation
+            document.addEventListener('keydown', this.handleKeydown);
+
+            // Back/forward closes or reopens the image in the URL
+            window.addEventListener('popstate', this.handlePopState);
+
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            window.addEventListener('resize', this.handleResize);
+            document.addEventListener('language:changed', this.handleLanguageChange);
         }
 
-        // Overlay click to close
-        if (lightboxOverlay) {
-            lightboxOverlay.addEventListener('click', closeLightbox);
+        /**
+         * Open lightbox with specific image
+         * options.history: 'push' (default), 'replace' or 'none'
+         */
+        open(index, options = {}) {
+            if (!this.galleryItems.length || index < 0 || index >= this.galleryItems.length) {
+                return;
+            }
+
+            if (this.isOpen) {
+                this.showImage(index);
+                return;
+            }
+
+            // Store currently focused element
+            this.focusedElementBeforeModal = document.activeElement;
+
+            this.currentIndex = index;
+            this.isOpen = true;
+            this.updateImageHistory(options.history || 'push');
+
+            // Show lightbox
+            this.lightbox.setAttribute('aria-hidden', 'false');
+            this.lightbox.style.display = 'flex';
+
+            // Prevent body scroll
+            document.body.style.overflow = 'hidden';
+
+            // Load image with animation
+            setTimeout(() => {
+                this.loadCurrentImage();
+                this.updateNavigation();
+                this.updateCounter();
+
+                // Focus the close button for accessibility (the pause button when opened as a slideshow,
+                // since focus on other controls pauses it)
+                const focusTarget = this.slideshow.isPlaying && this.lightboxPlay ? this.lightboxPlay : this.lightboxClose;
+                if (focusTarget) {
+                    focusTarget.focus();
+                }
+            }, 50);
+
+            // Announce to screen readers
+            announceToScreenReader(t('lightbox.opened'));
+
+            const item = this.galleryItems[index];
+            track('lightbox_opened', {
+                gallery: this.galleryContainer.getAttribute('data-lightbox') || 'gallery',
+                image: item.dataset.slug || String(index + 1)
+            });
         }
 
-        // Keyboard navigation
-        document.addEventListener('keydown', handleKeydown);
+        /**
+         * Close lightbox
+         * options.history: 'back' (default, leaves the entry pushed on open), 'replace' or 'none'
+         */
+        close(options = {}) {
+            if (!this.isOpen) return;
+
+            const returnItem = this.galleryItems[this.currentIndex];
+            this.isOpen = false;
+            this.clearImageHistory(options.history || 'back');
+            this.stopSlideshow({ announce: false });
+            this.cancelGesture();
+            this.resetZoom();
+            this.cancelPendingImage();
+
+            // Hide lightbox
+            this.lightbox.setAttribute('aria-hidden', 'true');
+            this.lightbox.style.display = 'none';
+
+            // Restore body scroll
+            document.body.style.overflow = '';
+
+            // Restore focus (to the image itself when the lightbox was opened from a link)
+            if (this.focusedElementBeforeModal && this.focusedElementBeforeModal !== document.body) {
+                this.focusedElementBeforeModal.focus();
+            } else if (returnItem) {
+                returnItem.focus();
+            }
+            this.focusedElementBeforeModal = null;
 
-        // Prevent body scroll when lightbox is open
-        lightbox.addEventListener('wheel', (e) => {
-            if (isOpen) {
-                e.preventDefault();
+            // Clear image src to prevent flash when reopening
+            if (this.lightboxImage) {
+                this.lightboxImage.src = '';
+                this.lightboxImage.alt = '';
             }
-        }, { passive: false });
 
-        // Handle image load errors
-        if (lightboxImage) {
-            lightboxImage.addEventListener('error', handleImageError);
+            // Announce to screen readers
+            announceToScreenReader(t('lightbox.closed'));
         }
-    }
 
-    /**
-     * Open lightbox with specific image
-     */
-    function openLightbox(index) {
-        if (!lightbox || !galleryItems.length || index < 0 || index >= galleryItems.length) {
-            return;
+        /**
+         * Load current image
+         */
+        loadCurrentImage() {
+            const currentItem = this.galleryItems[this.currentIndex];
+            if (!this.lightboxImage || !currentItem) return;
+
+            const img = currentItem.querySelector('img');
+            const overlay = currentItem.querySelector('.gallery-overlay');
+
+            if (!img) return;
+
+            const fullSrc = getImageSource(img);
+            const alt = img.alt || '';
+
+            // Each image starts unzoomed
+            this.resetZoom();
+
+            // A slower earlier load must not replace the image shown now
+            this.cancelPendingImage();
+
+            // Show loading state
+            this.showLoadingState();
+
+            // Create a new image to preload
+            const newImage = new Image();
+            this.pendingImage = newImage;
+
+            newImage.onload = () => {
+                this.pendingImage = null;
+                this.hideLoadingState();
+                this.lightboxImage.src = fullSrc;
+                this.lightboxImage.alt = alt;
+                preloadedSources.add(fullSrc);
+
+                // Update title and description
+                this.updateImageInfo(overlay);
+
+                this.preloadAdjacentImages();
+            };
+
+            newImage.onerror = () => {
+                this.pendingImage = null;
+                this.hideLoadingState();
+                this.handleImageError();
+            };
+
+            newImage.src = fullSrc;
         }
 
-        // Store currently focused element
-        focusedElementBeforeModal = document.activeElement;
+        /**
+         * Stop loading an image that is no longer wanted
+         */
+        cancelPendingImage() {
+            if (!this.pendingImage) return;
+
+            this.pendingImage.onload = null;
+            this.pendingImage.onerror = null;
+            // Clearing src lets the browser abort the request
+            this.pendingImage.src = '';
+            this.pendingImage = null;
+        }
 
-        currentIndex = index;
-        isOpen = true;
+        /**
+         * Update image information (title and description)
+         */
+        updateImageInfo(overlay) {
+            let title = '';
+            let description = '';
 
-        // Show lightbox
-        lightbox.setAttribute('aria-hidden', 'false');
-        lightbox.style.display = 'flex';
+            if (overlay) {
+                const titleElement = overlay.querySelector('.gallery-title');
+                const descElement = overlay.querySelector('.gallery-description');
 
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+                title = titleElement ? titleElement.textContent : '';
+                description = descElement ? descElement.textContent : '';
+            }
 
-        // Load image with animation
-        setTimeout(() => {
-            loadCurrentImage();
-            updateNavigation();
-            updateCounter();
-            
-            // Focus the close button for accessibility
-            if (lightboxClose) {
-                lightboxClose.focus();
-            }
-        }, 50);
-
-        // Announce to screen readers
-        announceToScreenReader('Gallery image opened');
-    }
+            // Fallback to image alt text if no title
+            if (!title && this.lightboxImage) {
+                title = this.lightboxImage.alt || t('lightbox.imageTitle', { number: this.currentIndex + 1 });
+            }
 
-    /**
-     * Close lightbox
-     */
-    function closeLightbox() {
-        if (!lightbox || !isOpen) return;
+            if (this.lightboxTitle) {
+                this.lightboxTitle.textContent = title;
+            }
 
-        isOpen = false;
+            if (this.lightboxDescription) {
+                this.lightboxDescription.textContent = description;
+                this.lightboxDescription.style.display = description ? 'block' : 'none';
+            }
+        }
 
-        // Hide lightbox
-        lightbox.setAttribute('aria-hidden', 'true');
-        lightbox.style.display = 'none';
+        /**
+         * Show the image at an index in the open lightbox
+         * The history entry is replaced, so Back still closes the lightbox
+         */
+        showImage(index) {
+            this.currentIndex = index;
+            this.loadCurrentImage();
+            this.updateNavigation();
+            this.updateCounter();
+            this.updateImageHistory('replace');
+
+            // Every image gets the full interval, including after manual navigation
+            if (this.slideshow.isPlaying) {
+                this.restartSlideshowTimer();
+            }
+        }
 
-        // Restore body scroll
-        document.body.style.overflow = '';
+        /**
+         * Show previous image
+         */
+        showPreviousImage() {
+            const total = this.galleryItems.length;
+            if (!this.isOpen || total <= 1) return;
 
-        // Restore focus
-        if (focusedElementBeforeModal) {
-            focusedElementBeforeModal.focus();
-            focusedElementBeforeModal = null;
+            this.showImage(this.currentIndex > 0 ? this.currentIndex - 1 : total - 1);
+
+            // Announce to screen readers
+            announceToScreenReader(t('lightbox.previous', { current: this.currentIndex + 1, total }));
         }
 
-        // Clear image src to prevent flash when reopening
-        if (lightboxImage) {
-            lightboxImage.src = '';
-            lightboxImage.alt = '';
+        /**
+         * Show next image
+         */
+        showNextImage() {
+            const total = this.galleryItems.length;
+            if (!this.isOpen || total <= 1) return;
+
+            this.showImage(this.currentIndex < total - 1 ? this.currentIndex + 1 : 0);
+
+            // Announce to screen readers
+            announceToScreenReader(t('lightbox.next', { current: this.currentIndex + 1, total }));
         }
 
-        // Announce to screen readers
-        announceToScreenReader('Gallery image closed');
-    }
+        /**
+         * Update navigation button states
+         */
+        updateNavigation() {
+            // Hide navigation buttons if only one image
+            const display = this.galleryItems.length <= 1 ? 'none' : 'flex';
 
-    /**
-     * Load current image
-     */
-    function loadCurrentImage() {
-        if (!lightboxImage || !galleryItems[currentIndex]) return;
-
-        const currentItem = galleryItems[currentIndex];
-        const img = currentItem.querySelector('img');
-        const overlay = currentItem.querySelector('.gallery-overlay');
-
-        if (!img) return;
-
-        // Get full resolution image URL from data attribute or use src
-        const fullSrc = img.getAttribute('data-full') || img.src;
-        const alt = img.alt || '';
-
-        // Show loading state
-        showLoadingState();
-
-        // Create a new image to preload
-        const newImage = new Image();
-        
-        newImage.onload = () => {
-            hideLoadingState();
-            lightboxImage.src = fullSrc;
-            lightboxImage.alt = alt;
-            
-            // Update title and description
-            updateImageInfo(overlay);
-        };
-
-        newImage.onerror = () => {
-            hideLoadingState();
-            handleImageError();
-        };
-
-        newImage.src = fullSrc;
-    }
+            [this.lightboxPrev, this.lightboxNext, this.lightboxPlay].forEach(button => {
+                if (button) button.style.display = display;
+            });
+        }
 
-    /**
-     * Update image information (title and description)
-     */
-    function updateImageInfo(overlay) {
-        let title = '';
-        let description = '';
+        /**
+         * Update counter
+         */
+        updateCounter() {
+            if (!this.lightboxCounter) return;
+
+            if (this.galleryItems.length > 1) {
+                this.lightboxCounter.textContent = t('lightbox.counter', {
+                    current: this.currentIndex + 1,
+                    total: this.galleryItems.length
+                });
+                this.lightboxCounter.style.display = 'block';
+            } else {
+                this.lightboxCounter.style.display = 'none';
+            }
+        }
+
+        /**
+         * Handle keyboard navigation
+         */
+        handleKeydown(e) {
+            if (!this.isOpen) return;
+
+            switch (e.key) {
+                case 'Escape':
+                    e.preventDefault();
+                    this.close();
+                    break;
+
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    this.showPreviousImage();
+                    break;
+
+                case 'ArrowRight':
+                    e.preventDefault();
+                    this.showNextImage();
+                    break;
+
+                case 'Home':
+                    e.preventDefault();
+                    if (this.galleryItems.length > 1) {
+                        this.showImage(0);
+                    }
+                    break;
+
+                case 'End':
+                    e.preventDefault();
+                    if (this.galleryItems.length > 1) {
+                        this.showImage(this.galleryItems.length - 1);
+                    }
+                    break;
+
+                case ' ':
+                    // Space activates a focused control (Close, Prev, Next, Play) as usual;
+                    // anywhere else in the lightbox it plays/pauses the slideshow
+                    if (e.target.closest && e.target.closest('button, a[href], input, select, textarea')) break;
+
+                    e.preventDefault();
+                    this.toggleSlideshow();
+                    break;
+
+                case 'Tab':
+                    // Trap focus within lightbox
+                    this.handleFocusTrap(e);
+                    break;
+            }
+        }
+
+        /**
+         * URL hash for a gallery item, e.g. #photo-workspace
+         */
+        getItemHash(item) {
+            const allItems = Array.from(this.galleryContainer.querySelectorAll(this.options.itemSelector));
+            return this.options.hashPrefix + (item.dataset.slug || String(allItems.indexOf(item) + 1));
+        }
+
+        /**
+         * Index of the visible item a hash points at, -1 when none does
+         */
+        findIndexByHash(hash) {
+            if (!this.options.hashPrefix || !hash || !hash.startsWith(this.options.hashPrefix)) return -1;
+
+            return this.galleryItems.findIndex(item => this.getItemHash(item) === decodeURIComponent(hash));
+        }
+
+        /**
+         * Push or replace a history entry for the current image
+         */
+        updateImageHistory(mode) {
+            if (mode === 'none' || !this.options.hashPrefix || !window.history || !window.history.pushState) return;
+
+            const url = `${window.location.pathname}${window.location.search}${this.getItemHash(this.galleryItems[this.currentIndex])}`;
+
+            if (mode === 'push') {
+                window.history.pushState({ lightbox: true }, '', url);
+            } else {
+                // Keep the state so an entry pushed on open is still recognized on close
+                window.history.replaceState(window.history.state, '', url);
+            }
+        }
+
+        /**
+         * Drop the image hash from the URL after closing
+         */
+        clearImageHistory(mode) {
+            const prefix = this.options.hashPrefix;
+            if (mode === 'none' || !prefix || !window.history || !window.location.hash.startsWith(prefix)) return;
+
+            if (mode === 'back' && window.history.state && window.history.state.lightbox) {
+                // Popstate then finds the lightbox already closed
+                window.history.back();
+            } else {
+                window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+            }
+        }
+
+        /**
+         * Open the image named in the URL hash on page load
+         */
+        openFromHash() {
+            const index = this.findIndexByHash(window.location.hash);
+
+            if (index !== -1) {
+                this.open(index, { history: 'replace' });
+            }
+        }
+
+        /**
+         * Follow back/forward navigation between images and the gallery
+         */
+        handlePopState() {
+            const index = this.findIndexByHash(window.location.hash);
+
+            if (index !== -1) {
+                this.open(index, { history: 'none' });
+            } else if (this.isOpen) {
+                this.close({ history: 'none' });
+            }
+        }
+
+        /**
+         * Handle focus trap within lightbox
+         */
+        handleFocusTrap(e) {
+            const focusableElements = this.lightbox.querySelectorAll(
+                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+            );
+
+            const firstFocusable = focusableElements[0];
+            const lastFocusable = focusableElements[focusableElements.length - 1];
+
+            if (e.shiftKey) {
+                // Shift + Tab
+                if (document.activeElement === firstFocusable) {
+                    lastFocusable.focus();
+                    e.preventDefault();
+                }
+            } else {
+                // Tab
+                if (document.activeElement === lastFocusable) {
+                    firstFocusable.focus();
+                    e.preventDefault();
+                }
+            }
+        }
+
+        /**
+         * Start the slideshow, opening the lightbox at the first image if needed
+         * options.interval: milliseconds per image
+         * options.userInitiated: started by the visitor (Play button or Space)
+         */
+        startSlideshow(options = {}) {
+            if (this.galleryItems.length <= 1) return;
+
+            // With reduced motion the slideshow only plays when the visitor starts it
+            if (prefersReducedMotion() && !options.userInitiated) return;
+
+            if (!this.isOpen) {
+                this.open(options.index || 0);
+            }
+
+            const slideshow = this.slideshow;
+            slideshow.interval = this.getSlideshowInterval(options.interval);
+            slideshow.isPlaying = true;
+            slideshow.pauseReasons.clear();
+
+            if (document.hidden) {
+                slideshow.pauseReasons.add('visibility');
+            }
+
+            this.updateSlideshowControls();
+            this.restartSlideshowTimer();
+            announceToScreenReader(t('lightbox.slideshowStarted'));
+        }
+
+        /**
+         * Stop the slideshow
+         */
+        stopSlideshow(options = {}) {
+            const slideshow = this.slideshow;
+            if (!slideshow.isPlaying) return;
+
+            clearTimeout(slideshow.timer);
+            slideshow.timer = null;
+            slideshow.isPlaying = false;
+            slideshow.pauseReasons.clear();
+
+            this.updateSlideshowControls();
+
+            if (options.announce !== false) {
+                announceToScreenReader(t('lightbox.slideshowStopped'));
+            }
+        }
+
+        /**
+         * Play or pause from the button or Space key
+         */
+        toggleSlideshow() {
+            if (this.slideshow.isPlaying) {
+                this.stopSlideshow();
+            } else {
+                this.startSlideshow({ index: this.currentIndex, userInitiated: true });
+            }
+        }
 
-        if (overlay) {
-            const titleElement = overlay.querySelector('.gallery-title');
-            const descElement = overlay.querySelector('.gallery-description');
-            
-            title = titleElement ? titleElement.textContent : '';
-            description = descElement ? descElement.textContent : '';
+        /**
+         * Interval from options, then the last one used, the instance option, the data attribute and the default
+         * (never shorter than reducedMotionInterval when the visitor prefers reduced motion)
+         */
+        getSlideshowInterval(interval) {
+            const value = Number(interval) || this.slideshow.interval ||
+                Number(this.options.slideshowInterval) ||
+                Number(this.lightbox.dataset.slideshowInterval) || SLIDESHOW_CONFIG.interval;
+            const minInterval = prefersReducedMotion()
+                ? SLIDESHOW_CONFIG.reducedMotionInterval
+                : SLIDESHOW_CONFIG.minInterval;
+            return Math.max(value, minInterval);
         }
 
-        // Fallback to image alt text if no title
-        if (!title && lightboxImage) {
-            title = lightboxImage.alt || `Image ${currentIndex + 1}`;
+        /**
+         * Give the current image a full interval and restart the progress bar
+         */
+        restartSlideshowTimer() {
+            const slideshow = this.slideshow;
+
+            clearTimeout(slideshow.timer);
+            slideshow.timer = null;
+            slideshow.remaining = slideshow.interval;
+
+            if (this.lightboxProgress) {
+                this.lightboxProgress.style.setProperty('--slideshow-interval', `${slideshow.interval}ms`);
+                this.lightboxProgress.classList.remove('is-running');
+                // Reflow so the animation starts again from empty
+                void this.lightboxProgress.offsetWidth;
+                this.lightboxProgress.classList.add('is-running');
+            }
+
+            this.runSlideshowTimer();
+        }
+
+        /**
+         * Count down the remaining time unless something is pausing the slideshow
+         */
+        runSlideshowTimer() {
+            const slideshow = this.slideshow;
+            if (!slideshow.isPlaying || slideshow.timer || slideshow.pauseReasons.size) return;
+
+            slideshow.startedAt = Date.now();
+            slideshow.timer = setTimeout(() => {
+                slideshow.timer = null;
+                // No announcement per image; the counter still updates
+                this.showImage(this.currentIndex < this.galleryItems.length - 1 ? this.currentIndex + 1 : 0);
+            }, slideshow.remaining);
+
+            if (this.lightboxProgress) {
+                this.lightboxProgress.classList.remove('is-paused');
+            }
+        }
+
+        /**
+         * Pause for a reason (hover, focus, visibility) until that reason is cleared
+         */
+        pauseSlideshow(reason) {
+            const slideshow = this.slideshow;
+            if (!slideshow.isPlaying) return;
+
+            slideshow.pauseReasons.add(reason);
+
+            if (slideshow.timer) {
+                clearTimeout(slideshow.timer);
+                slideshow.timer = null;
+                slideshow.remaining = Math.max(slideshow.remaining - (Date.now() - slideshow.startedAt), 0);
+            }
+
+            if (this.lightboxProgress) {
+                this.lightboxProgress.classList.add('is-paused');
+            }
+        }
+
+        /**
+         * Clear a pause reason and continue once none are left
+         */
+        resumeSlideshow(reason) {
+            this.slideshow.pauseReasons.delete(reason);
+            this.runSlideshowTimer();
+        }
+
+        /**
+         * Pause while the image is hovered with a mouse or focus is on another lightbox control
+         */
+        setupSlideshowPausing() {
+            if (this.imageContainer) {
+                this.imageContainer.addEventListener('pointerenter', (e) => {
+                    if (e.pointerType === 'mouse') this.pauseSlideshow('hover');
+                });
+                this.imageContainer.addEventListener('pointerleave', () => this.resumeSlideshow('hover'));
+            }
+
+            this.lightbox.addEventListener('focusin', (e) => {
+                if (e.target === this.lightboxPlay) {
+                    this.resumeSlideshow('focus');
+                } else {
+                    this.pauseSlideshow('focus');
+                }
+            });
+
+            this.lightbox.addEventListener('focusout', (e) => {
+                if (!this.lightbox.contains(e.relatedTarget)) {
+                    this.resumeSlideshow('focus');
+                }
+            });
+        }
+
+        /**
+         * Sync the play/pause button and progress bar with the slideshow state
+         */
+        updateSlideshowControls() {
+            const isPlaying = this.slideshow.isPlaying;
+
+            if (this.lightboxPlay) {
+                this.lightboxPlay.classList.toggle('is-playing', isPlaying);
+                this.lightboxPlay.setAttribute('aria-label', t(isPlaying ? 'lightbox.pauseSlideshow' : 'lightbox.playSlideshow'));
+            }
+
+            if (this.lightboxProgress) {
+                this.lightboxProgress.hidden = !isPlaying;
+                if (!isPlaying) {
+                    this.lightboxProgress.classList.remove('is-running', 'is-paused');
+                }
+            }
+        }
+
+        /**
+         * Setup pointer gestures on the image
+         */
+        setupGestures() {
+            this.imageContainer.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            this.imageContainer.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            this.imageContainer.addEventListener('pointerup', (e) => this.handlePointerEnd(e));
+            this.imageContainer.addEventListener('pointercancel', (e) => this.handlePointerEnd(e));
+        }
+
+        /**
+         * Track a new pointer and (re)start the gesture
+         */
+        handlePointerDown(e) {
+            if (!this.isOpen || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+            e.preventDefault();
+            if (this.imageContainer.setPointerCapture) {
+                this.imageContainer.setPointerCapture(e.pointerId);
+            }
+
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        }
+
+        /**
+         * Start a gesture from the pointers that are down:
+         * two pointers pinch, one pointer pans a zoomed image or swipes an unzoomed one
+         */
+        startGesture() {
+            const points = Array.from(this.activePointers.values());
+            const zoom = this.zoom;
+
+            if (points.length >= 2) {
+                const center = getCenter(points[0], points[1]);
+                this.gesture = {
+                    type: 'pinch',
+                    distance: getDistance(points[0], points[1]) || 1,
+                    center,
+                    origin: this.toImagePoint(center),
+                    scale: zoom.scale,
+                    x: zoom.x,
+                    y: zoom.y
+                };
+            } else {
+                this.gesture = {
+                    type: zoom.scale > 1 ? 'pan' : 'swipe',
+                    start: points[0],
+                    x: zoom.x,
+                    y: zoom.y,
+                    moved: false
+                };
+            }
+
+            // Follow the pointer without easing
+            this.lightboxImage.classList.add('is-dragging');
+        }
+
+        /**
+         * Update the gesture in progress
+         */
+        handlePointerMove(e) {
+            const gesture = this.gesture;
+            if (!gesture || !this.activePointers.has(e.pointerId)) return;
+
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            const points = Array.from(this.activePointers.values());
+
+            if (gesture.type === 'pinch') {
+                if (points.length < 2) return;
+
+                // Zoom around where the pinch started and follow the fingers as they move
+                const center = getCenter(points[0], points[1]);
+                const scale = clampScale(gesture.scale * getDistance(points[0], points[1]) / gesture.distance);
+                const ratio = scale / gesture.scale;
+
+                this.setZoom(
+                    scale,
+                    gesture.origin.x - (gesture.origin.x - gesture.x) * ratio + center.x - gesture.center.x,
+                    gesture.origin.y - (gesture.origin.y - gesture.y) * ratio + center.y - gesture.center.y
+                );
+                return;
+            }
+
+            const dx = e.clientX - gesture.start.x;
+            const dy = e.clientY - gesture.start.y;
+
+            if (Math.abs(dx) > GESTURE_CONFIG.tapTolerance || Math.abs(dy) > GESTURE_CONFIG.tapTolerance) {
+                gesture.moved = true;
+            }
+
+            if (gesture.type === 'pan') {
+                this.setZoom(this.zoom.scale, gesture.x + dx, gesture.y + dy);
+            } else {
+                // Let the image follow a swipe sideways or down; it snaps back if the swipe is too short
+                this.lightboxImage.style.transform = `translate(${dx}px, ${Math.max(dy, 0)}px)`;
+            }
         }
 
-        if (lightboxTitle) {
-            lightboxTitle.textContent = title;
+        /**
+         * Finish the gesture when a pointer is lifted
+         */
+        handlePointerEnd(e) {
+            if (!this.activePointers.has(e.pointerId)) return;
+
+            this.activePointers.delete(e.pointerId);
+
+            if (this.gesture && this.gesture.type !== 'pinch' && e.type === 'pointerup') {
+                this.finishSingleGesture(this.gesture, e);
+            }
+
+            // Lifting one finger of a pinch continues as a pan with the other
+            if (this.activePointers.size && this.isOpen) {
+                this.startGesture();
+                return;
+            }
+
+            this.gesture = null;
+            this.lightboxImage.classList.remove('is-dragging');
+
+            if (this.zoom.scale <= 1) {
+                this.resetZoom();
+            }
         }
 
-        if (lightboxDescription) {
-            lightboxDescription.textContent = description;
-            lightboxDescription.style.display = description ? 'block' : 'none';
+        /**
+         * Turn a one-pointer gesture into a tap, swipe or swipe-down
+         */
+        finishSingleGesture(endedGesture, e) {
+            const dx = e.clientX - endedGesture.start.x;
+            const dy = e.clientY - endedGesture.start.y;
+
+            if (!endedGesture.moved) {
+                this.handleTap(e);
+            } else if (endedGesture.type === 'swipe') {
+                if (Math.abs(dx) >= GESTURE_CONFIG.swipeDistance && Math.abs(dx) > Math.abs(dy)) {
+                    if (dx < 0) {
+                        this.showNextImage();
+                    } else {
+                        this.showPreviousImage();
+                    }
+                } else if (dy >= GESTURE_CONFIG.closeDistance && dy > Math.abs(dx)) {
+                    this.close();
+                }
+            }
+        }
+
+        /**
+         * Double tap (or double click) zooms in at that point, or back out
+         */
+        handleTap(e) {
+            const now = Date.now();
+
+            if (now - this.lastTapTime > GESTURE_CONFIG.doubleTapDelay) {
+                this.lastTapTime = now;
+                return;
+            }
+
+            this.lastTapTime = 0;
+
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+            } else {
+                this.zoomAt(GESTURE_CONFIG.doubleTapScale, e.clientX, e.clientY);
+            }
+        }
+
+        /**
+         * Zoom with the mouse wheel around the cursor
+         */
+        handleWheel(e) {
+            if (!this.isOpen) return;
+
+            // The page behind must not scroll either way
+            e.preventDefault();
+
+            if (!this.imageContainer || !this.lightboxImage || !this.imageContainer.contains(e.target)) return;
+
+            // deltaMode 1 reports lines rather than pixels
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            this.zoomAt(this.zoom.scale * Math.exp(-delta * GESTURE_CONFIG.wheelZoomSpeed), e.clientX, e.clientY);
+        }
+
+        /**
+         * Zoom to a scale, keeping the point under the pointer in place
+         */
+        zoomAt(scale, clientX, clientY) {
+            const point = this.toImagePoint({ x: clientX, y: clientY });
+            const nextScale = clampScale(scale);
+            const ratio = nextScale / this.zoom.scale;
+
+            this.setZoom(
+                nextScale,
+                point.x - (point.x - this.zoom.x) * ratio,
+                point.y - (point.y - this.zoom.y) * ratio
+            );
+        }
+
+        /**
+         * Apply zoom and pan, keeping the image edges from moving inside the frame
+         */
+        setZoom(scale, x, y) {
+            if (scale <= 1) {
+                this.resetZoom();
+                return;
+            }
+
+            const maxX = (this.lightboxImage.offsetWidth * (scale - 1)) / 2;
+            const maxY = (this.lightboxImage.offsetHeight * (scale - 1)) / 2;
+
+            this.zoom = {
+                scale,
+                x: Math.min(Math.max(x, -maxX), maxX),
+                y: Math.min(Math.max(y, -maxY), maxY)
+            };
+
+            this.lightboxImage.style.transform = `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+            this.imageContainer.classList.add('is-zoomed');
+        }
+
+        /**
+         * Show the image at its normal size
+         */
+        resetZoom() {
+            this.zoom = { scale: 1, x: 0, y: 0 };
+
+            if (this.lightboxImage) {
+                this.lightboxImage.style.transform = '';
+            }
+            if (this.imageContainer) {
+                this.imageContainer.classList.remove('is-zoomed');
+            }
+        }
+
+        /**
+         * Drop any gesture in progress
+         */
+        cancelGesture() {
+            this.activePointers.clear();
+            this.gesture = null;
+            this.lastTapTime = 0;
+
+            if (this.lightboxImage) {
+                this.lightboxImage.classList.remove('is-dragging');
+            }
+        }
+
+        /**
+         * Convert a viewport point to coordinates relative to the centre of the image frame
+         */
+        toImagePoint(point) {
+            const rect = this.imageContainer.getBoundingClientRect();
+
+            return {
+                x: point.x - (rect.left + rect.width / 2),
+                y: point.y - (rect.top + rect.height / 2)
+            };
+        }
+
+        /**
+         * Show loading state
+         */
+        showLoadingState() {
+            if (this.lightboxImage) {
+                this.lightboxImage.style.opacity = '0.5';
+            }
+        }
+
+        /**
+         * Hide loading state
+         */
+        hideLoadingState() {
+            if (this.lightboxImage) {
+                this.lightboxImage.style.opacity = '1';
+            }
+        }
+
+        /**
+         * Handle image loading errors
+         */
+        handleImageError() {
+            if (this.lightboxImage) {
+                this.lightboxImage.alt = t('lightbox.loadFailed');
+            }
+
+            if (this.lightboxTitle) {
+                this.lightboxTitle.textContent = t('lightbox.unavailable');
+            }
+
+            if (this.lightboxDescription) {
+                this.lightboxDescription.textContent = t('lightbox.unavailableText');
+                this.lightboxDescription.style.display = 'block';
+            }
+
+            if (window.MainApp && window.MainApp.showToast) {
+                window.MainApp.showToast(t('lightbox.loadFailed'), 'error');
+            }
+        }
+
+        /**
+         * Preload adjacent images for better performance
+         * Skipped with Save-Data, since the visitor may never look at them
+         */
+        preloadAdjacentImages() {
+            const total = this.galleryItems.length;
+            if (!this.isOpen || total <= 1 || isSaveDataEnabled()) return;
+
+            const prevIndex = this.currentIndex > 0 ? this.currentIndex - 1 : total - 1;
+            const nextIndex = this.currentIndex < total - 1 ? this.currentIndex + 1 : 0;
+
+            [prevIndex, nextIndex].forEach(index => {
+                const img = this.galleryItems[index] && this.galleryItems[index].querySelector('img');
+                if (!img) return;
+
+                const fullSrc = getImageSource(img);
+                if (preloadedSources.has(fullSrc)) return;
+
+                preloadedSources.add(fullSrc);
+                const preloadImg = new Image();
+                preloadImg.src = fullSrc;
+            });
+        }
+
+        /**
+         * Pause a running slideshow in a background tab, otherwise close
+         */
+        handleVisibilityChange() {
+            if (this.slideshow.isPlaying) {
+                // A running slideshow waits in the background instead of closing
+                if (document.hidden) {
+                    this.pauseSlideshow('visibility');
+                } else {
+                    this.resumeSlideshow('visibility');
+                }
+            } else if (document.hidden && this.isOpen) {
+                this.close();
+            }
+        }
+
+        /**
+         * Handle window resize
+         */
+        handleResize() {
+            if (this.isOpen) {
+                // Adjust lightbox layout if needed
+                this.updateNavigation();
+            }
+        }
+
+        /**
+         * Re-read the translated caption and alt text when the site language changes
+         */
+        handleLanguageChange() {
+            const currentItem = this.galleryItems[this.currentIndex];
+
+            if (this.isOpen && currentItem) {
+                const img = currentItem.querySelector('img');
+                if (img && this.lightboxImage) {
+                    this.lightboxImage.alt = img.alt || '';
+                }
+                this.updateImageInfo(currentItem.querySelector('.gallery-overlay'));
+                this.updateCounter();
+            }
+            this.updateSlideshowControls();
+        }
+
+        /**
+         * Refresh gallery items (useful if gallery is dynamically updated)
+         * Also opens an image linked in the URL once it has been rendered
+         */
+        refresh() {
+            this.updateGalleryItems();
+
+            if (!this.isOpen) {
+                this.openFromHash();
+            }
+        }
+
+        /**
+         * Get current state
+         */
+        getState() {
+            return {
+                isOpen: this.isOpen,
+                currentIndex: this.currentIndex,
+                totalImages: this.galleryItems.length,
+                isSlideshowPlaying: this.slideshow.isPlaying
+            };
+        }
+
+        /**
+         * Close and remove the document and window listeners
+         */
+        destroy() {
+            this.close({ history: 'replace' });
+
+            document.removeEventListener('keydown', this.handleKeydown);
+            window.removeEventListener('popstate', this.handlePopState);
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            window.removeEventListener('resize', this.handleResize);
+            document.removeEventListener('language:changed', this.handleLanguageChange);
+
+            instances.delete(this.galleryContainer);
         }
     }
 
     /**
-     * Show previous image
+     * Create a lightbox dialog with the same structure as the one in gallery.html
      */
-    function showPreviousImage() {
-        if (!isOpen || galleryItems.length <= 1) return;
+    function createLightboxElement() {
+        createdCount += 1;
+        const titleId = `lightbox-${createdCount}-title`;
 
-        currentIndex = currentIndex > 0 ? currentIndex - 1 : galleryItems.length - 1;
-        loadCurrentImage();
-        updateNavigation();
-        updateCounter();
+        const lightbox = document.createElement('div');
+        lightbox.className = 'lightbox';
+        lightbox.setAttribute('aria-hidden', 'true');
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.setAttribute('aria-labelledby', titleId);
+
+        // Static markup only; labels and text are set below and by the instance
+        lightbox.innerHTML = `
+            <div class="lightbox-overlay" tabindex="-1"></div>
+            <div class="lightbox-content">
+                <button class="lightbox-close" data-i18n-attr="aria-label:lightbox.close">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+                <button class="lightbox-play" data-i18n-attr="aria-label:lightbox.playSlideshow">
+                    <svg class="lightbox-play-icon" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                        <polygon points="7,4 20,12 7,20"/>
+                    </svg>
+                    <svg class="lightbox-pause-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <line x1="8" y1="5" x2="8" y2="19"/>
+                        <line x1="16" y1="5" x2="16" y2="19"/>
+                    </svg>
+                </button>
+                <button class="lightbox-nav lightbox-prev" data-i18n-attr="aria-label:lightbox.previousImage">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <polyline points="15,18 9,12 15,6"/>
+                    </svg>
+                </button>
+                <button class="lightbox-nav lightbox-next" data-i18n-attr="aria-label:lightbox.nextImage">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <polyline points="9,18 15,12 9,6"/>
+                    </svg>
+                </button>
+                <div class="lightbox-image-container">
+                    <img class="lightbox-image" alt="" />
+                </div>
+                <div class="lightbox-progress" hidden>
+                    <div class="lightbox-progress-bar"></div>
+                </div>
+                <div class="lightbox-info">
+                    <h2 class="lightbox-title"></h2>
+                    <p class="lightbox-description"></p>
+                    <p class="lightbox-counter" aria-live="polite"></p>
+                </div>
+            </div>`;
+
+        lightbox.querySelector('.lightbox-title').id = titleId;
+
+        // The site language switcher re-applies these through data-i18n-attr
+        lightbox.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            const key = element.getAttribute('data-i18n-attr').split(':')[1];
+            element.setAttribute('aria-label', t(key));
+        });
 
-        // Announce to screen readers
-        announceToScreenReader(`Previous image: ${currentIndex + 1} of ${galleryItems.length}`);
+        document.body.appendChild(lightbox);
+        return lightbox;
     }
 
     /**
-     * Show next image
+     * Pick the full-size URL for a thumbnail
+     * Uses the smallest data-srcset candidate ("url 800w, url 1600w") that covers the viewport
+     * at the device pixel ratio, then data-full, then the thumbnail itself
      */
-    function showNextImage() {
-        if (!isOpen || galleryItems.length <= 1) return;
+    function getImageSource(img) {
+        const candidates = parseSrcset(img.getAttribute('data-srcset'));
+        const fallback = img.getAttribute('data-full') || img.src;
+
+        if (!candidates.length) return fallback;
 
-        currentIndex = currentIndex < galleryItems.length - 1 ? currentIndex + 1 : 0;
-        loadCurrentImage();
-        updateNavigation();
-        updateCounter();
+        // Save-Data users get images sized for CSS pixels only
+        const pixelRatio = isSaveDataEnabled()
+            ? 1
+            : Math.min(window.devicePixelRatio || 1, IMAGE_CONFIG.maxPixelRatio);
+        const targetWidth = window.innerWidth * IMAGE_CONFIG.viewportFraction * pixelRatio;
 
-        // Announce to screen readers
-        announceToScreenReader(`Next image: ${currentIndex + 1} of ${galleryItems.length}`);
+        const match = candidates.find(candidate => candidate.width >= targetWidth);
+        return (match || candidates[candidates.length - 1]).url;
     }
 
     /**
-     * Update navigation button states
+     * Parse width-described candidates, smallest first
      */
-    function updateNavigation() {
-        if (galleryItems.length <= 1) {
-            // Hide navigation buttons if only one image
-            if (lightboxPrev) lightboxPrev.style.display = 'none';
-            if (lightboxNext) lightboxNext.style.display = 'none';
-        } else {
-            // Show navigation buttons
-            if (lightboxPrev) lightboxPrev.style.display = 'flex';
-            if (lightboxNext) lightboxNext.style.display = 'flex';
-        }
+    function parseSrcset(srcset) {
+        if (!srcset) return [];
+
+        return srcset.split(',')
+            .map(entry => {
+                const [url, descriptor = ''] = entry.trim().split(/\s+/);
+                const width = parseInt(descriptor, 10);
+                return url && width > 0 ? { url, width } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.width - b.width);
     }
 
     /**
-     * Update counter
+     * Whether the visitor asked to reduce data usage
      */
-    function updateCounter() {
-        if (!lightboxCounter) return;
-
-        if (galleryItems.length > 1) {
-            lightboxCounter.textContent = `${currentIndex + 1} of ${galleryItems.length}`;
-            lightboxCounter.style.display = 'block';
-        } else {
-            lightboxCounter.style.display = 'none';
-        }
+    function isSaveDataEnabled() {
+        const connection = navigator.connection;
+        return Boolean(connection && connection.saveData);
     }
 
     /**
-     * Handle keyboard navigation
+     * Whether the visitor asked the system to reduce motion
      */
-    function handleKeydown(e) {
-        if (!isOpen) return;
-
-        switch (e.key) {
-            case 'Escape':
-                e.preventDefault();
-                closeLightbox();
-                break;
-                
-            case 'ArrowLeft':
-                e.preventDefault();
-                showPreviousImage();
-                break;
-                
-            case 'ArrowRight':
-                e.preventDefault();
-                showNextImage();
-                break;
-                
-            case 'Home':
-                e.preventDefault();
-                if (galleryItems.length > 1) {
-                    currentIndex = 0;
-                    loadCurrentImage();
-                    updateNavigation();
-                    updateCounter();
-                }
-                break;
-                
-            case 'End':
-                e.preventDefault();
-                if (galleryItems.length > 1) {
-                    currentIndex = galleryItems.length - 1;
-                    loadCurrentImage();
-                    updateNavigation();
-                    updateCounter();
-                }
-                break;
-                
-            case 'Tab':
-                // Trap focus within lightbox
-                handleFocusTrap(e);
-                break;
-        }
+    function prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
     }
 
     /**
-     * Handle focus trap within lightbox
+     * Keep the scale between the normal size and the maximum zoom
      */
-    function handleFocusTrap(e) {
-        const focusableElements = lightbox.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey) {
-            // Shift + Tab
-            if (document.activeElement === firstFocusable) {
-                lastFocusable.focus();
-                e.preventDefault();
-            }
-        } else {
-            // Tab
-            if (document.activeElement === lastFocusable) {
-                firstFocusable.focus();
-                e.preventDefault();
-            }
-        }
+    function clampScale(scale) {
+        return Math.min(Math.max(scale, 1), GESTURE_CONFIG.maxScale);
     }
 
     /**
-     * Show loading state
+     * Midpoint between two pointers
      */
-    function showLoadingState() {
-        if (lightboxImage) {
-            lightboxImage.style.opacity = '0.5';
-        }
+    function getCenter(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
     }
 
     /**
-     * Hide loading state
+     * Distance between two pointers
      */
-    function hideLoadingState() {
-        if (lightboxImage) {
-            lightboxImage.style.opacity = '1';
-        }
+    function getDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
     }
 
     /**
-     * Handle image loading errors
+     * Translate a message key (see i18n.js)
      */
-    function handleImageError() {
-        if (lightboxImage) {
-            lightboxImage.alt = 'Failed to load image';
-        }
-        
-        if (lightboxTitle) {
-            lightboxTitle.textContent = 'Image unavailable';
-        }
-        
-        if (lightboxDescription) {
-            lightboxDescription.textContent = 'Sorry, this image could not be loaded.';
-            lightboxDescription.style.display = 'block';
-        }
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
 
-        if (window.MainApp && window.MainApp.showToast) {
-            window.MainApp.showToast('Failed to load image', 'error');
+    /**
+     * Record an analytics event (see analytics.js)
+     */
+    function track(name, properties) {
+        if (window.Analytics) {
+            window.Analytics.track(name, properties);
         }
     }
 
@@ -434,67 +1427,57 @@
         announcement.setAttribute('aria-live', 'polite');
         announcement.setAttribute('aria-atomic', 'true');
         announcement.classList.add('sr-only');
-        
+
         document.body.appendChild(announcement);
-        
+
         setTimeout(() => {
             document.body.removeChild(announcement);
         }, 1000);
     }
 
     /**
-     * Preload adjacent images for better performance
+     * Initialize lightbox functionality
+     * The default instance covers .gallery-grid with #lightbox; containers marked
+     * data-lightbox="<name>" get their own lightbox with #<name>-<slug> deep links
      */
-    function preloadAdjacentImages() {
-        if (!isOpen || galleryItems.length <= 1) return;
-
-        const preloadIndexes = [];
-        
-        // Previous image
-        const prevIndex = currentIndex > 0 ? currentIndex - 1 : galleryItems.length - 1;
-        preloadIndexes.push(prevIndex);
-        
-        // Next image
-        const nextIndex = currentIndex < galleryItems.length - 1 ? currentIndex + 1 : 0;
-        preloadIndexes.push(nextIndex);
-
-        preloadIndexes.forEach(index => {
-            const item = galleryItems[index];
-            if (!item) return;
-            
-            const img = item.querySelector('img');
-            if (!img) return;
-            
-            const fullSrc = img.getAttribute('data-full') || img.src;
-            const preloadImg = new Image();
-            preloadImg.src = fullSrc;
-        });
-    }
+    function init() {
+        try {
+            const galleryGrid = document.querySelector('.gallery-grid');
+            const lightbox = document.getElementById('lightbox');
 
-    /**
-     * Refresh gallery items (useful if gallery is dynamically updated)
-     */
-    function refresh() {
-        setupGalleryItems();
-    }
+            if (galleryGrid && lightbox && !galleryGrid.hasAttribute('data-lightbox')) {
+                // gallery.js may already have bound one to the grid
+                defaultLightbox = instances.get(galleryGrid) || new Lightbox(galleryGrid, { lightbox });
+            }
 
-    /**
-     * Get current state
-     */
-    function getState() {
-        return {
-            isOpen,
-            currentIndex,
-            totalImages: galleryItems.length
-        };
+            document.querySelectorAll('[data-lightbox]').forEach(container => {
+                if (instances.has(container)) return;
+
+                const name = container.getAttribute('data-lightbox');
+                new Lightbox(container, {
+                    hashPrefix: name ? `#${name}-` : false,
+                    slideshowInterval: container.dataset.lightboxInterval || null
+                });
+            });
+        } catch (error) {
+            console.error('Error initializing lightbox:', error);
+        }
     }
 
     // Export public API
+    window.Lightbox = Lightbox;
+
+    // Backward-compatible API for the default instance
     window.LightboxManager = {
-        refresh,
-        getState,
-        openLightbox,
-        closeLightbox
+        refresh: () => defaultLightbox && defaultLightbox.refresh(),
+        getState: () => (defaultLightbox
+            ? defaultLightbox.getState()
+            : { isOpen: false, currentIndex: 0, totalImages: 0, isSlideshowPlaying: false }),
+        openLightbox: (index, options) => defaultLightbox && defaultLightbox.open(index, options),
+        closeLightbox: (options) => defaultLightbox && defaultLightbox.close(options),
+        startSlideshow: (options) => defaultLightbox && defaultLightbox.startSlideshow(options),
+        stopSlideshow: (options) => defaultLightbox && defaultLightbox.stopSlideshow(options),
+        getInstance: () => defaultLightbox
     };
 
     // Initialize when DOM is ready
@@ -504,19 +1487,4 @@
         init();
     }
 
-    // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden && isOpen) {
-            closeLightbox();
-        }
-    });
-
-    // Handle window resize
-    window.addEventListener('resize', () => {
-        if (isOpen) {
-            // Adjust lightbox layout if needed
-            updateNavigation();
-        }
-    });
-
 })();
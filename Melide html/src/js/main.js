@@ -6,6 +6,29 @@
 (function() {
     'use strict';
 
+    // Languages offered by the header switcher; page text comes from per-language JSON bundles
+    const LANGUAGE_CONFIG = {
+        languages: {
+            ka: { name: 'ქართული', label: 'ქა' },
+            en: { name: 'English', label: 'EN' }
+        },
+        defaultLanguage: 'ka',
+        bundleUrl: '/src/data/i18n/{lang}.json',
+        storageKey: 'melide:language',
+        queryParam: 'lang'
+    };
+
+    // Toast notifications: how many show at once and auto-close delays in ms per type
+    const TOAST_CONFIG = {
+        maxVisible: 3,
+        durations: {
+            success: 5000,
+            info: 5000,
+            warning: 8000,
+            error: 10000
+        }
+    };
+
     // DOM elements
     const header = document.querySelector('.header');
     const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
@@ -18,11 +41,17 @@
     let focusableElements = [];
     let firstFocusableElement = null;
     let lastFocusableElement = null;
+    let currentLanguage = null;
+    const bundleRequests = {};
+    const visibleToasts = [];
+    const queuedToasts = [];
+    const toastAnnouncers = {};
 
     /**
      * Initialize all functionality when DOM is loaded
      */
     function init() {
+        setupLanguage();
         setupStickyHeader();
         setupMobileMenu();
         setupNavigation();
@@ -36,6 +65,253 @@
         }, 100);
     }
 
+    /**
+     * Setup the language switcher and apply the preferred language
+     * Preference order: ?lang= in the URL, saved choice, page language, default
+     */
+    function setupLanguage() {
+        const params = new URLSearchParams(window.location.search);
+        const language = [
+            params.get(LANGUAGE_CONFIG.queryParam),
+            getSavedLanguage(),
+            document.documentElement.lang
+        ].map(normalizeLanguage).find(Boolean) || LANGUAGE_CONFIG.defaultLanguage;
+
+        // Set synchronously so scripts initializing after this one already use it
+        document.documentElement.lang = language;
+        currentLanguage = language;
+
+        if (normalizeLanguage(params.get(LANGUAGE_CONFIG.queryParam))) {
+            saveLanguage(language);
+        }
+
+        createLanguageSwitcher();
+        updateAlternateLinks();
+
+        // Pages still mix languages in their markup, so the bundle is applied even for the page language
+        loadLanguageBundle(language)
+            .then(applyTranslations)
+            .catch((error) => {
+                console.error('Error loading language bundle:', error);
+            });
+    }
+
+    /**
+     * Map "en-US" or "EN" to a supported language code, null if unsupported
+     */
+    function normalizeLanguage(value) {
+        const language = String(value || '').toLowerCase().split('-')[0];
+        return LANGUAGE_CONFIG.languages[language] ? language : null;
+    }
+
+    /**
+     * Build the header switcher: one link per language, usable without JavaScript through ?lang=
+     */
+    function createLanguageSwitcher() {
+        const headerContent = document.querySelector('.header-content');
+        if (!headerContent || headerContent.querySelector('.language-switcher')) return;
+
+        const switcher = document.createElement('div');
+        switcher.className = 'language-switcher';
+        switcher.setAttribute('role', 'group');
+        switcher.setAttribute('aria-label', 'ენა / Language');
+
+        Object.keys(LANGUAGE_CONFIG.languages).forEach(language => {
+            const { name, label } = LANGUAGE_CONFIG.languages[language];
+            const option = document.createElement('a');
+            option.className = 'language-option';
+            option.href = getLanguageUrl(language);
+            option.hreflang = language;
+            option.lang = language;
+            option.dataset.language = language;
+            option.textContent = label;
+            option.title = name;
+            option.setAttribute('aria-label', name);
+
+            option.addEventListener('click', (e) => {
+                e.preventDefault();
+                setLanguage(language).catch((error) => {
+                    console.error('Error switching language:', error);
+                });
+            });
+
+            switcher.appendChild(option);
+        });
+
+        // Sits next to the mobile menu button so it stays reachable on small screens
+        headerContent.insertBefore(switcher, mobileMenuBtn && mobileMenuBtn.parentNode === headerContent ? mobileMenuBtn : null);
+        updateLanguageSwitcher();
+    }
+
+    /**
+     * Mark the active language in the switcher
+     */
+    function updateLanguageSwitcher() {
+        document.querySelectorAll('.language-option').forEach(option => {
+            if (option.dataset.language === currentLanguage) {
+                option.setAttribute('aria-current', 'true');
+            } else {
+                option.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Switch the whole page to another language and remember the choice
+     */
+    function setLanguage(language) {
+        const nextLanguage = normalizeLanguage(language);
+        if (!nextLanguage) {
+            return Promise.reject(new Error(`Unsupported language: ${language}`));
+        }
+
+        saveLanguage(nextLanguage);
+
+        return loadLanguageBundle(nextLanguage).then((bundle) => {
+            const previousLanguage = currentLanguage;
+
+            currentLanguage = nextLanguage;
+            document.documentElement.lang = nextLanguage;
+            applyTranslations(bundle);
+            updateLanguageSwitcher();
+
+            // Keep shared ?lang= links pointing at the language now shown
+            const url = new URL(window.location.href);
+            if (url.searchParams.has(LANGUAGE_CONFIG.queryParam)) {
+                url.searchParams.set(LANGUAGE_CONFIG.queryParam, nextLanguage);
+                history.replaceState(history.state, '', url.href);
+            }
+            updateAlternateLinks();
+
+            if (previousLanguage !== nextLanguage) {
+                document.dispatchEvent(new CustomEvent('language:changed', {
+                    detail: { language: nextLanguage, previousLanguage }
+                }));
+            }
+        });
+    }
+
+    /**
+     * Fetch a language bundle once and register it with the message catalog
+     */
+    function loadLanguageBundle(language) {
+        if (!bundleRequests[language]) {
+            bundleRequests[language] = fetch(LANGUAGE_CONFIG.bundleUrl.replace('{lang}', language))
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${language} bundle: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then((bundle) => {
+                    if (window.I18n) {
+                        window.I18n.addMessages(language, bundle);
+                    }
+                    return bundle;
+                })
+                .catch((error) => {
+                    // Allow a later switch to try again
+                    delete bundleRequests[language];
+                    throw error;
+                });
+        }
+
+        return bundleRequests[language];
+    }
+
+    /**
+     * Swap text marked with data-i18n="key" and attributes marked with
+     * data-i18n-attr="aria-label:key; placeholder:key"
+     */
+    function applyTranslations(bundle) {
+        const translate = (key) => {
+            if (bundle[key] !== undefined) return bundle[key];
+            return window.I18n && window.I18n.has(key) ? window.I18n.t(key) : null;
+        };
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            const text = translate(element.dataset.i18n);
+            if (text !== null) {
+                element.textContent = text;
+            }
+        });
+
+        document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const text = attribute && key ? translate(key) : null;
+                if (text !== null) {
+                    element.setAttribute(attribute, text);
+                }
+            });
+        });
+    }
+
+    /**
+     * Keep <link rel="alternate" hreflang> entries pointing at each language version of this page
+     */
+    function updateAlternateLinks() {
+        const alternates = Object.keys(LANGUAGE_CONFIG.languages)
+            .map(language => ({ hreflang: language, href: getLanguageUrl(language) }))
+            .concat({ hreflang: 'x-default', href: getLanguageUrl(null) });
+
+        alternates.forEach(({ hreflang, href }) => {
+            let link = document.head.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = hreflang;
+                document.head.appendChild(link);
+            }
+            link.href = href;
+        });
+    }
+
+    /**
+     * Current URL with ?lang= set to a language (or removed for null)
+     */
+    function getLanguageUrl(language) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+
+        if (language) {
+            url.searchParams.set(LANGUAGE_CONFIG.queryParam, language);
+        } else {
+            url.searchParams.delete(LANGUAGE_CONFIG.queryParam);
+        }
+
+        return url.href;
+    }
+
+    /**
+     * Read the saved language, null when storage is unavailable
+     */
+    function getSavedLanguage() {
+        try {
+            return localStorage.getItem(LANGUAGE_CONFIG.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the chosen language for later visits
+     */
+    function saveLanguage(language) {
+        try {
+            localStorage.setItem(LANGUAGE_CONFIG.storageKey, language);
+        } catch (error) {
+            // Private mode or storage disabled: the choice only lasts for this page
+        }
+    }
+
+    /**
+     * Current page language
+     */
+    function getLanguage() {
+        return currentLanguage || normalizeLanguage(document.documentElement.lang) || LANGUAGE_CONFIG.defaultLanguage;
+    }
+
     /**
      * Setup sticky header functionality
      */
@@ -316,53 +592,236 @@
     }
 
     /**
-     * Utility function to show toast notification
+     * Show a toast notification
+     * The message is rendered as plain text. Options:
+     * - duration: ms before auto-close, 0 keeps the toast until closed (default per type)
+     * - actions: [{ label, onClick, dismiss = true }] rendered as buttons
+     * Toasts beyond maxVisible wait in a queue. Returns a handle with close()
+     */
+    function showToast(message, type = 'success', options = {}) {
+        const toastType = TOAST_CONFIG.durations[type] !== undefined ? type : 'info';
+        const toast = {
+            message: String(message),
+            type: toastType,
+            duration: options.duration !== undefined ? options.duration : TOAST_CONFIG.durations[toastType],
+            actions: options.actions || [],
+            element: null,
+            timer: null,
+            remaining: 0,
+            startedAt: 0,
+            isHovered: false,
+            hasFocus: false,
+            isClosed: false
+        };
+
+        // Older toasts still waiting for a free spot go first
+        if (!queuedToasts.length && visibleToasts.length < TOAST_CONFIG.maxVisible) {
+            renderToast(toast);
+        } else {
+            queuedToasts.push(toast);
+        }
+
+        return {
+            close: () => closeToast(toast)
+        };
+    }
+
+    /**
+     * Build and show a toast element
      */
-    function showToast(message, type = 'success') {
-        const toastContainer = document.getElementById('toast-container');
-        if (!toastContainer) return;
+    function renderToast(toast) {
+        const toastContainer = getToastContainer();
+
+        const element = document.createElement('div');
+        element.className = `toast ${toast.type}`;
+
+        const message = document.createElement('span');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        element.appendChild(message);
+
+        if (toast.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+
+            toast.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    try {
+                        if (action.onClick) action.onClick();
+                    } catch (error) {
+                        console.error('Error in toast action:', error);
+                    }
+
+                    if (action.dismiss !== false) {
+                        closeToast(toast);
+                    }
+                });
+                actions.appendChild(button);
+            });
 
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.innerHTML = `
-            <span class="toast-message">${message}</span>
-            <button class="toast-close" aria-label="Close notification">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-            </button>
+            element.appendChild(actions);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', t('toast.close'));
+        closeBtn.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
         `;
+        closeBtn.addEventListener('click', () => closeToast(toast));
+        element.appendChild(closeBtn);
 
-        toastContainer.appendChild(toast);
+        // Hold the countdown while the user is reading or interacting with the toast
+        element.addEventListener('mouseenter', () => {
+            toast.isHovered = true;
+            pauseToast(toast);
+        });
+        element.addEventListener('mouseleave', () => {
+            toast.isHovered = false;
+            resumeToast(toast);
+        });
+        element.addEventListener('focusin', () => {
+            toast.hasFocus = true;
+            pauseToast(toast);
+        });
+        element.addEventListener('focusout', (e) => {
+            if (element.contains(e.relatedTarget)) return;
+            toast.hasFocus = false;
+            resumeToast(toast);
+        });
+
+        toast.element = element;
+        visibleToasts.push(toast);
+        toastContainer.appendChild(element);
 
         // Show toast
         setTimeout(() => {
-            toast.classList.add('show');
+            element.classList.add('show');
         }, 100);
 
-        // Setup close button
-        const closeBtn = toast.querySelector('.toast-close');
-        closeBtn.addEventListener('click', () => {
-            closeToast(toast);
-        });
+        announceToast(toast);
 
-        // Auto-close after 5 seconds
-        setTimeout(() => {
-            closeToast(toast);
-        }, 5000);
+        toast.remaining = toast.duration;
+        startToastTimer(toast);
+    }
+
+    /**
+     * Start (or restart) the auto-close countdown
+     */
+    function startToastTimer(toast) {
+        if (!toast.duration || toast.isClosed) return;
+
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => closeToast(toast), Math.max(toast.remaining, 0));
+    }
+
+    /**
+     * Pause the countdown, keeping the time left
+     */
+    function pauseToast(toast) {
+        if (!toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
     }
 
     /**
-     * Close toast notification
+     * Resume the countdown once the toast is neither hovered nor focused
+     */
+    function resumeToast(toast) {
+        if (toast.timer || toast.isHovered || toast.hasFocus) return;
+        startToastTimer(toast);
+    }
+
+    /**
+     * Close toast notification and show the next queued one
      */
     function closeToast(toast) {
-        toast.classList.remove('show');
+        if (toast.isClosed) return;
+        toast.isClosed = true;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+
+        const queuedIndex = queuedToasts.indexOf(toast);
+        if (queuedIndex !== -1) {
+            queuedToasts.splice(queuedIndex, 1);
+            return;
+        }
+
+        visibleToasts.splice(visibleToasts.indexOf(toast), 1);
+        toast.element.classList.remove('show');
+
         setTimeout(() => {
-            toast.remove();
+            toast.element.remove();
+
+            if (queuedToasts.length && visibleToasts.length < TOAST_CONFIG.maxVisible) {
+                renderToast(queuedToasts.shift());
+            }
         }, 300);
     }
 
+    /**
+     * Get the toast container, creating it on pages that do not have one
+     */
+    function getToastContainer() {
+        let toastContainer = document.getElementById('toast-container');
+
+        if (!toastContainer) {
+            toastContainer = document.createElement('div');
+            toastContainer.className = 'toast-container';
+            toastContainer.id = 'toast-container';
+            document.body.appendChild(toastContainer);
+        }
+
+        // Announcements go through the dedicated live regions instead
+        toastContainer.removeAttribute('aria-live');
+
+        return toastContainer;
+    }
+
+    /**
+     * Announce a toast through a persistent live region (errors interrupt, the rest wait their turn)
+     * Regions exist before the text changes, which screen readers need to pick up the update
+     */
+    function announceToast(toast) {
+        const politeness = toast.type === 'error' ? 'assertive' : 'polite';
+
+        if (!toastAnnouncers[politeness]) {
+            const region = document.createElement('div');
+            region.className = 'sr-only';
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+            toastAnnouncers[politeness] = region;
+        }
+
+        const region = toastAnnouncers[politeness];
+        region.textContent = '';
+
+        // Let the cleared region register so repeating the same message is announced again
+        setTimeout(() => {
+            region.textContent = toast.message;
+        }, 100);
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
     /**
      * Handle errors gracefully
      */
@@ -408,6 +867,8 @@
     // Export utilities for other scripts to use
     window.MainApp = {
         showToast,
+        setLanguage,
+        getLanguage,
         debounce,
         throttle,
         handleError
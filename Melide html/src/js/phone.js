@@ -0,0 +1,245 @@
+/**
+ * Phone numbers
+ * Validates Georgian (+995) mobile and landline numbers plus international numbers,
+ * formats input as the user types and normalizes to E.164
+ */
+
+(function() {
+    'use strict';
+
+    const GEORGIA_CODE = '995';
+
+    // Georgian national numbers are 9 digits: mobiles start with 5, landlines with an area code (3x/4x)
+    const NATIONAL_PATTERNS = [
+        { type: 'mobile', pattern: /^5\d{8}$/ },
+        { type: 'landline', pattern: /^[34]\d{8}$/ }
+    ];
+
+    // Digit groups used for display, e.g. 555 12 34 56 and 32 212 34 56 (Tbilisi)
+    const GROUPS_DEFAULT = [3, 2, 2, 2];
+    const GROUPS_TBILISI = [2, 3, 2, 2];
+
+    // E.164 allows up to 15 digits including the country code
+    const INTERNATIONAL_PATTERN = /^[1-9]\d{7,14}$/;
+
+    // Only digits, common separators and a leading plus are accepted
+    const ALLOWED_INPUT = /^\+?[\d\s\-().]+$/;
+
+    /**
+     * Parse a phone number as typed
+     * Returns { e164, type: 'mobile' | 'landline' | 'international', country } or null when invalid
+     */
+    function parse(value) {
+        const input = String(value || '').trim();
+        if (!ALLOWED_INPUT.test(input)) return null;
+
+        let digits = input.replace(/\D/g, '');
+        let isInternational = input.startsWith('+');
+
+        // 00 is the international call prefix in Georgia
+        if (!isInternational && digits.startsWith('00')) {
+            isInternational = true;
+            digits = digits.slice(2);
+        }
+
+        if (isInternational) {
+            if (digits.startsWith(GEORGIA_CODE)) {
+                return parseNational(digits.slice(GEORGIA_CODE.length));
+            }
+
+            return INTERNATIONAL_PATTERN.test(digits)
+                ? { e164: `+${digits}`, type: 'international', country: null }
+                : null;
+        }
+
+        // Country code typed without the plus
+        if (digits.length === 12 && digits.startsWith(GEORGIA_CODE)) {
+            return parseNational(digits.slice(GEORGIA_CODE.length));
+        }
+
+        return parseNational(digits);
+    }
+
+    /**
+     * Parse a Georgian national number, with or without the domestic 0 prefix (e.g. 032 2XX XX XX)
+     */
+    function parseNational(digits) {
+        const national = digits.length === 10 && digits.startsWith('0') ? digits.slice(1) : digits;
+        const match = NATIONAL_PATTERNS.find(({ pattern }) => pattern.test(national));
+
+        return match
+            ? { e164: `+${GEORGIA_CODE}${national}`, type: match.type, country: 'GE' }
+            : null;
+    }
+
+    /**
+     * Check whether a value is a valid phone number
+     */
+    function isValid(value) {
+        return parse(value) !== null;
+    }
+
+    /**
+     * Normalize to E.164 (e.g. +995555123456), empty string when invalid
+     */
+    function toE164(value) {
+        const parsed = parse(value);
+        return parsed ? parsed.e164 : '';
+    }
+
+    /**
+     * Format a (possibly incomplete) number for display while typing
+     * Georgian numbers are grouped, other international numbers are left as typed
+     * (only the hidden E.164 field is normalized)
+     */
+    function formatAsYouType(value) {
+        const input = String(value || '');
+        const digits = input.replace(/\D/g, '');
+
+        if (input.trim().startsWith('+')) {
+            if (!digits.startsWith(GEORGIA_CODE)) return input;
+
+            const national = digits.slice(GEORGIA_CODE.length);
+            return national ? `+${GEORGIA_CODE} ${groupNational(national)}` : `+${digits}`;
+        }
+
+        // Numbers dialled with the 00 international prefix keep the visitor's own spacing
+        if (digits.startsWith('00')) return input;
+
+        // Only group what looks like a national number; leave the domestic 0 prefix alone
+        return /^[345]/.test(digits) ? groupNational(digits) : digits;
+    }
+
+    /**
+     * Group national digits, e.g. 555123456 -> 555 12 34 56
+     */
+    function groupNational(digits) {
+        const sizes = digits.startsWith('32') ? GROUPS_TBILISI : GROUPS_DEFAULT;
+        const groups = [];
+        let position = 0;
+
+        sizes.forEach(size => {
+            if (position < digits.length) {
+                groups.push(digits.slice(position, position + size));
+                position += size;
+            }
+        });
+
+        // Keep extra digits visible so the user can see (and fix) them
+        if (position < digits.length) {
+            groups.push(digits.slice(position));
+        }
+
+        return groups.join(' ');
+    }
+
+    /**
+     * Enhance phone inputs marked with data-phone:
+     * format while typing and keep a hidden E.164 field (name from data-phone, default <name>E164)
+     */
+    function init() {
+        document.querySelectorAll('input[data-phone]').forEach(enhanceField);
+    }
+
+    /**
+     * Set up formatting and normalization for one field
+     */
+    function enhanceField(field) {
+        if (field.dataset.phoneReady) return;
+        field.dataset.phoneReady = 'true';
+
+        const normalizedField = document.createElement('input');
+        normalizedField.type = 'hidden';
+        normalizedField.name = field.dataset.phone || `${field.name}E164`;
+        field.insertAdjacentElement('afterend', normalizedField);
+
+        const updateNormalizedValue = () => {
+            normalizedField.value = toE164(field.value);
+        };
+
+        field.addEventListener('input', (e) => {
+            // Reformatting while deleting would put separators straight back
+            if (!(e.inputType || '').startsWith('delete')) {
+                applyFormat(field);
+            }
+            updateNormalizedValue();
+        });
+
+        // Covers blur, autofill and restored drafts
+        field.addEventListener('change', () => {
+            applyFormat(field);
+            updateNormalizedValue();
+        });
+
+        if (field.form) {
+            // Reset runs before the fields are cleared
+            field.form.addEventListener('reset', () => setTimeout(updateNormalizedValue));
+        }
+
+        updateNormalizedValue();
+    }
+
+    /**
+     * Reformat a field, keeping the caret after the same digit
+     */
+    function applyFormat(field) {
+        const formatted = formatAsYouType(field.value);
+        if (formatted === field.value || !field.value.trim()) return;
+
+        const isFocused = document.activeElement === field;
+        const caret = field.selectionStart === null ? field.value.length : field.selectionStart;
+        const significantBefore = countSignificant(field.value.slice(0, caret));
+
+        field.value = formatted;
+
+        if (isFocused) {
+            const position = getPositionAfter(formatted, significantBefore);
+            field.setSelectionRange(position, position);
+        }
+    }
+
+    /**
+     * Count digits and plus signs
+     */
+    function countSignificant(text) {
+        return (text.match(/[\d+]/g) || []).length;
+    }
+
+    /**
+     * Index right after the nth significant character
+     */
+    function getPositionAfter(text, count) {
+        if (count === 0) return 0;
+
+        let seen = 0;
+        for (let index = 0; index < text.length; index++) {
+            if (/[\d+]/.test(text[index]) && ++seen === count) {
+                return index + 1;
+            }
+        }
+
+        return text.length;
+    }
+
+    const PhoneNumber = {
+        parse,
+        isValid,
+        toE164,
+        formatAsYouType
+    };
+
+    // Export public API (the reference server requires this file from Node)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PhoneNumber;
+    } else {
+        window.PhoneNumber = PhoneNumber;
+
+        // Initialize when DOM is ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', init);
+        } else {
+            init();
+        }
+    }
+
+})();
@@ -0,0 +1,248 @@
+/**
+ * Booking schedule
+ * Opening hours, holidays and time slot calculation shared by booking.js,
+ * validate.js and the local reference server
+ */
+
+(function() {
+    'use strict';
+
+    // Loaded schedule data (see src/data/schedule.json)
+    let schedule = null;
+    let loadPromise = null;
+
+    /**
+     * Load schedule data once and cache it
+     */
+    function load(url) {
+        if (loadPromise) return loadPromise;
+
+        loadPromise = fetch(url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load schedule: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((data) => {
+                schedule = data;
+                return data;
+            })
+            .catch((error) => {
+                // Allow a later call to try again
+                loadPromise = null;
+                throw error;
+            });
+
+        return loadPromise;
+    }
+
+    /**
+     * Get loaded schedule data (null until loaded)
+     */
+    function getSchedule() {
+        return schedule;
+    }
+
+    /**
+     * Use schedule data directly instead of loading it
+     */
+    function setSchedule(data) {
+        schedule = data;
+        loadPromise = Promise.resolve(data);
+    }
+
+    /**
+     * Check whether we are closed on a date (YYYY-MM-DD)
+     * Returns false while no schedule is available so validation never blocks on it
+     */
+    function isClosedDay(date, data = schedule) {
+        const day = parseDate(date);
+        if (!data || !day) return false;
+
+        return isHoliday(date, data) || getOpeningHours(day, data).length === 0;
+    }
+
+    /**
+     * Check holidays, which are either recurring (MM-DD) or one-off (YYYY-MM-DD)
+     */
+    function isHoliday(date, data) {
+        const holidays = data.holidays || [];
+        return holidays.includes(date) || holidays.includes(date.slice(5));
+    }
+
+    /**
+     * Get opening hour ranges for a day
+     */
+    function getOpeningHours(day, data) {
+        const openingHours = data.openingHours || {};
+        return openingHours[day.getDay()] || [];
+    }
+
+    /**
+     * Get time slots for a date
+     * Options: duration (minutes), booked ([{ time, duration }] or ['HH:MM']), now (Date)
+     * Returns [{ time: 'HH:MM', available: boolean }]
+     */
+    function getSlots(date, options = {}, data = schedule) {
+        const day = parseDate(date);
+        if (!data || !day || isClosedDay(date, data)) return [];
+
+        const interval = data.slotInterval || 30;
+        const duration = options.duration || interval;
+        const booked = (options.booked || []).map(entry => {
+            const start = toMinutes(typeof entry === 'string' ? entry : entry.time);
+            return { start, end: start + ((entry && entry.duration) || interval) };
+        });
+        const earliestStart = getEarliestStart(date, options.now || new Date(), data);
+        const slots = [];
+
+        getOpeningHours(day, data).forEach(([open, close]) => {
+            const closeMinutes = toMinutes(close);
+
+            for (let start = toMinutes(open); start + duration <= closeMinutes; start += interval) {
+                const end = start + duration;
+                const isBooked = booked.some(range => start < range.end && end > range.start);
+
+                slots.push({
+                    time: fromMinutes(start),
+                    available: start >= earliestStart && !isBooked
+                });
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Earliest bookable minute of a day, taking the booking window and minimum notice into account
+     */
+    function getEarliestStart(date, now, data) {
+        if (!isWithinBookingWindow(date, { now }, data)) return Infinity;
+
+        const zonedNow = getZonedNow(now, data);
+        if (date > zonedNow.date) return 0;
+
+        return zonedNow.minutes + (data.minNoticeMinutes || 0);
+    }
+
+    /**
+     * First and last bookable date (YYYY-MM-DD): today in the schedule's timezone
+     * up to maxAdvanceDays ahead. Options: now (Date). max is null without a limit
+     */
+    function getBookingWindow(options = {}, data = schedule) {
+        const today = getZonedNow(options.now || new Date(), data).date;
+        const maxAdvanceDays = data && data.maxAdvanceDays;
+
+        return {
+            min: today,
+            max: maxAdvanceDays > 0 ? addDays(today, maxAdvanceDays) : null
+        };
+    }
+
+    /**
+     * Check whether a date (YYYY-MM-DD) can be booked at all, open or not
+     */
+    function isWithinBookingWindow(date, options = {}, data = schedule) {
+        if (!parseDate(date)) return false;
+
+        const { min, max } = getBookingWindow(options, data);
+        return date >= min && (!max || date <= max);
+    }
+
+    /**
+     * Current date and minute of the day in the schedule's timezone
+     * Falls back to the local zone of the browser or server without a (known) timezone
+     */
+    function getZonedNow(now, data) {
+        const timeZone = data && data.timezone;
+
+        if (timeZone && typeof Intl !== 'undefined') {
+            try {
+                const parts = {};
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    hourCycle: 'h23'
+                }).formatToParts(now).forEach(part => {
+                    parts[part.type] = part.value;
+                });
+
+                return {
+                    date: `${parts.year}-${parts.month}-${parts.day}`,
+                    minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+                };
+            } catch (error) {
+                console.warn(`Unknown schedule timezone "${timeZone}", using the local one`);
+            }
+        }
+
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+
+        return {
+            date: `${now.getFullYear()}-${month}-${day}`,
+            minutes: now.getHours() * 60 + now.getMinutes()
+        };
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    function addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Parse YYYY-MM-DD into a local date, null when invalid
+     */
+    function parseDate(date) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+        if (!match) return null;
+
+        const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(day.getTime()) ? null : day;
+    }
+
+    /**
+     * Convert HH:MM to minutes since midnight
+     */
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Convert minutes since midnight to HH:MM
+     */
+    function fromMinutes(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    }
+
+    const BookingSchedule = {
+        load,
+        getSchedule,
+        setSchedule,
+        isClosedDay,
+        getBookingWindow,
+        isWithinBookingWindow,
+        getSlots,
+        toMinutes,
+        fromMinutes
+    };
+
+    // Export public API (the reference server requires this file from Node)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingSchedule;
+    } else {
+        window.BookingSchedule = BookingSchedule;
+    }
+
+})();
@@ -0,0 +1,223 @@
+/**
+ * Service catalog
+ * Loads services from JSON and renders booking options and service cards
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration object - point url at a different catalog if needed
+    const CATALOG_CONFIG = {
+        url: "/src/data/services.json",
+        optionsSelector: "[data-service-options]",
+        cardsSelector: "[data-service-cards]"
+    };
+
+    // State
+    let catalog = null;
+    let loadPromise = null;
+
+    /**
+     * Initialize catalog rendering
+     */
+    function init() {
+        const selects = document.querySelectorAll(CATALOG_CONFIG.optionsSelector);
+        const cardContainers = document.querySelectorAll(CATALOG_CONFIG.cardsSelector);
+
+        if (!selects.length && !cardContainers.length) return;
+
+        const render = () => {
+            selects.forEach(renderOptions);
+            cardContainers.forEach(renderCards);
+        };
+
+        load()
+            .then(render)
+            .catch((error) => {
+                console.error('Error loading service catalog:', error);
+            });
+
+        // Names, descriptions and durations follow the site language
+        document.addEventListener('language:changed', () => {
+            if (catalog) render();
+        });
+    }
+
+    /**
+     * Load the catalog once and cache it
+     */
+    function load() {
+        if (loadPromise) return loadPromise;
+
+        loadPromise = fetch(CATALOG_CONFIG.url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load service catalog: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((data) => {
+                catalog = data;
+                return data;
+            })
+            .catch((error) => {
+                // Allow a later call to try again
+                loadPromise = null;
+                throw error;
+            });
+
+        return loadPromise;
+    }
+
+    /**
+     * Get services, optionally only the ones that can be booked online
+     */
+    function getServices(options = {}) {
+        const services = catalog ? catalog.services : [];
+        return options.bookableOnly ? services.filter(service => service.bookable) : services.slice();
+    }
+
+    /**
+     * Get a service by ID
+     */
+    function getService(id) {
+        return getServices().find(service => service.id === id) || null;
+    }
+
+    /**
+     * Minutes a booking of this service blocks in the schedule (duration plus buffer time)
+     * Returns null for unknown services so callers can fall back to the default slot length
+     */
+    function getSlotDuration(id) {
+        const service = getService(id);
+        if (!service) return null;
+
+        return service.duration + (service.bufferTime || 0);
+    }
+
+    /**
+     * Pick the text for the page language from a { ka, en } object
+     */
+    function getLocalizedText(text) {
+        if (!text || typeof text === 'string') return text || '';
+
+        const lang = window.I18n ? window.I18n.getLanguage() : (document.documentElement.lang || 'ka');
+        return text[lang] || text.ka || text.en || '';
+    }
+
+    /**
+     * Get a service name in the page language
+     */
+    function getServiceName(id) {
+        const service = getService(id);
+        return service ? getLocalizedText(service.name) : '';
+    }
+
+    /**
+     * Format a price in the catalog currency
+     */
+    function formatPrice(price) {
+        const currency = (catalog && catalog.currency) || 'GEL';
+        return `${price} ${currency === 'GEL' ? '₾' : currency}`;
+    }
+
+    /**
+     * Format a duration in minutes, e.g. 90 -> 1 h 30 min
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+
+        if (!hours) return t('services.minutes', { minutes: rest });
+        return rest ? t('services.hoursMinutes', { hours, minutes: rest }) : t('services.hours', { hours });
+    }
+
+    /**
+     * Render bookable services as select options, keeping the placeholder option
+     */
+    function renderOptions(select) {
+        const previousValue = select.value;
+        const placeholder = select.querySelector('option[value=""]');
+
+        select.innerHTML = '';
+        if (placeholder) {
+            select.appendChild(placeholder);
+        }
+
+        getServices({ bookableOnly: true }).forEach(service => {
+            const label = `${getLocalizedText(service.name)} (${formatDuration(service.duration)}, ${formatPrice(service.price)})`;
+            select.appendChild(new Option(label, service.id));
+        });
+
+        // Support preselecting a service through ?service=<id>
+        const requested = new URLSearchParams(window.location.search).get('service');
+        const value = previousValue || requested;
+        if (value && getService(value)) {
+            select.value = value;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Render service cards
+     */
+    function renderCards(container) {
+        container.innerHTML = '';
+
+        getServices().forEach(service => {
+            const card = document.createElement('article');
+            card.className = 'card service-card';
+            card.dataset.serviceId = service.id;
+
+            const title = document.createElement('h3');
+            title.className = 'card-title';
+            title.textContent = getLocalizedText(service.name);
+
+            const text = document.createElement('p');
+            text.className = 'card-text';
+            text.textContent = getLocalizedText(service.description);
+
+            const meta = document.createElement('p');
+            meta.className = 'service-meta';
+            meta.textContent = `${formatDuration(service.duration)} · ${formatPrice(service.price)}`;
+
+            card.append(title, meta, text);
+
+            if (service.bookable) {
+                const link = document.createElement('a');
+                link.className = 'btn btn-primary';
+                link.href = `/pages/booking.html?service=${encodeURIComponent(service.id)}`;
+                link.textContent = t('services.book');
+                card.appendChild(link);
+            }
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    // Export public API
+    window.ServiceCatalog = {
+        load,
+        getServices,
+        getService,
+        getServiceName,
+        getSlotDuration,
+        formatPrice,
+        formatDuration
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,171 @@
+/**
+ * Form submission transport
+ * Sends form data as JSON to a backend endpoint with timeouts and retries
+ * Every submission carries an Idempotency-Key header, so a retry of a request the server
+ * already stored (response lost, timeout) returns the stored record instead of a duplicate
+ */
+
+(function() {
+    'use strict';
+
+    // Default transport settings - can be overridden per call
+    const SUBMIT_DEFAULTS = {
+        timeout: 15000, // 15 seconds per attempt
+        retryAttempts: 2, // Extra attempts after the first one
+        retryDelay: 1500 // Grows linearly with each attempt
+    };
+
+    // Idempotency keys by form element: one per filled-in form, so a Retry after a lost
+    // response is recognised by the server as the same submission
+    const formKeys = new WeakMap();
+
+    /**
+     * Send data to an endpoint as a JSON POST request
+     * Resolves with the parsed response body, rejects with a SubmitError
+     * Options: timeout, retryAttempts, retryDelay, idempotencyKey (generated when missing)
+     */
+    function send(endpoint, data, options = {}) {
+        const settings = { ...SUBMIT_DEFAULTS, ...options };
+
+        if (!endpoint) {
+            return Promise.reject(createSubmitError('No submit endpoint configured', { retryable: false }));
+        }
+
+        // One key per submission, shared by all of its attempts
+        const idempotencyKey = settings.idempotencyKey || createIdempotencyKey();
+        let attempt = 0;
+
+        function tryRequest() {
+            attempt++;
+
+            return request(endpoint, data, settings.timeout, idempotencyKey).catch((error) => {
+                if (!error.retryable || attempt > settings.retryAttempts) {
+                    throw error;
+                }
+
+                return wait(settings.retryDelay * attempt).then(tryRequest);
+            });
+        }
+
+        return tryRequest();
+    }
+
+    /**
+     * Perform a single request attempt with a timeout
+     */
+    function request(endpoint, data, timeout, idempotencyKey) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            },
+            body: JSON.stringify(data),
+            signal: controller.signal
+        })
+            .then((response) => {
+                clearTimeout(timeoutId);
+
+                return parseBody(response).then((body) => {
+                    if (response.ok) {
+                        return body;
+                    }
+
+                    throw createSubmitError(body.message || `Request failed with status ${response.status}`, {
+                        status: response.status,
+                        fieldErrors: body.errors || null,
+                        // Client errors will fail the same way again, server errors might not
+                        retryable: response.status >= 500 || response.status === 429
+                    });
+                });
+            }, (error) => {
+                clearTimeout(timeoutId);
+
+                const isTimeout = error.name === 'AbortError';
+                throw createSubmitError(isTimeout ? 'Request timed out' : 'Network error', {
+                    retryable: true,
+                    cause: error
+                });
+            });
+    }
+
+    /**
+     * Parse a JSON response body, tolerating empty, non-JSON or non-object bodies
+     */
+    function parseBody(response) {
+        return response.text().then((text) => {
+            if (!text) return {};
+
+            try {
+                const body = JSON.parse(text);
+                return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+            } catch (error) {
+                return {};
+            }
+        });
+    }
+
+    /**
+     * Get the idempotency key for a form, creating it on first use
+     * The key is kept until clearFormKey (after success) or until the form is reset
+     */
+    function getFormKey(form) {
+        if (!formKeys.has(form)) {
+            formKeys.set(form, createIdempotencyKey());
+            form.addEventListener('reset', () => clearFormKey(form), { once: true });
+        }
+
+        return formKeys.get(form);
+    }
+
+    /**
+     * Forget a form's idempotency key, so its next submission counts as a new one
+     */
+    function clearFormKey(form) {
+        formKeys.delete(form);
+    }
+
+    /**
+     * Create a random key identifying one submission
+     */
+    function createIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Create an error describing a failed submission
+     */
+    function createSubmitError(message, details = {}) {
+        const error = new Error(message);
+        error.name = 'SubmitError';
+        error.status = details.status || 0;
+        error.fieldErrors = details.fieldErrors || null;
+        error.retryable = Boolean(details.retryable);
+        error.cause = details.cause;
+        return error;
+    }
+
+    /**
+     * Promise based delay
+     */
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Export public API
+    window.FormSubmit = {
+        send,
+        getFormKey,
+        clearFormKey,
+        defaults: SUBMIT_DEFAULTS
+    };
+
+})();
@@ -6,11 +6,11 @@
 (function() {
     'use strict';
 
-    // Validation rules
+    // Validation rules - messages are i18n.js keys (or functions returning text)
     const VALIDATION_RULES = {
         required: {
             test: (value) => value && value.trim().length > 0,
-            message: 'This field is required'
+            message: 'validation.required'
         },
         email: {
             test: (value) => {
@@ -18,39 +18,85 @@
                 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                 return emailRegex.test(value);
             },
-            message: 'Please enter a valid email address'
+            message: 'validation.email'
         },
         phone: {
             test: (value) => {
                 if (!value) return true; // Phone is optional
-                const phoneRegex = /^[\+]?[(]?[\d\s\-\(\)]{10,}$/;
-                return phoneRegex.test(value.replace(/\s/g, ''));
+                // Georgian mobile/landline or international numbers - see phone.js
+                return window.PhoneNumber ? window.PhoneNumber.isValid(value) : /\d{6,}/.test(value.replace(/\D/g, ''));
             },
-            message: 'Please enter a valid phone number'
+            message: 'validation.phone'
         },
         minLength: {
             test: (value, min = 2) => {
                 if (!value) return true; // Let required rule handle empty values
                 return value.trim().length >= min;
             },
-            message: (min) => `Must be at least ${min} characters long`
+            message: (min = 2) => t('validation.minLength', { min })
         },
         maxLength: {
             test: (value, max = 1000) => {
                 if (!value) return true;
                 return value.trim().length <= max;
             },
-            message: (max) => `Must be no more than ${max} characters long`
+            message: (max = 1000) => t('validation.maxLength', { max })
         },
         date: {
             test: (value) => {
                 if (!value) return true; // Let required rule handle empty values
-                const date = new Date(value);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                return date >= today;
+
+                if (!window.BookingSchedule) {
+                    const date = new Date(value);
+                    const today = new Date();
+                    today.setHours(0, 0, 0, 0);
+                    return date >= today;
+                }
+
+                // Today (in the schedule's timezone) up to maxAdvanceDays ahead, on a day we are open
+                return window.BookingSchedule.isWithinBookingWindow(value) &&
+                    !window.BookingSchedule.isClosedDay(value);
+            },
+            message: (param, context) => {
+                const bookingWindow = window.BookingSchedule && window.BookingSchedule.getBookingWindow();
+
+                if (bookingWindow && bookingWindow.max && context.field.value > bookingWindow.max) {
+                    return t('validation.dateTooFar', { days: window.BookingSchedule.getSchedule().maxAdvanceDays });
+                }
+
+                return t('validation.date');
+            }
+        },
+        // Chosen booking time is an open slot on the chosen date (schedule.js); booking.js replaces
+        // this with a check against live availability when it sets up the booking form
+        slotAvailable: {
+            test: (value, param, context) => {
+                const schedule = window.BookingSchedule;
+                const date = context.getValue('booking-date');
+                if (!value || !date || !schedule || !schedule.getSchedule()) return true;
+
+                const service = context.getValue('booking-service');
+                const duration = service && window.ServiceCatalog ? window.ServiceCatalog.getSlotDuration(service) : null;
+
+                return schedule.getSlots(date, { duration }).some(slot => slot.time === value && slot.available);
+            },
+            message: 'booking.slotTaken'
+        },
+        // Cross-field rules take the other field's ID, e.g. matches:contact-email
+        matches: {
+            test: (value, fieldId, context) => {
+                if (!value) return true; // Let required rule handle empty values
+                return value === context.getValue(fieldId);
             },
-            message: 'Please select a date from today onwards'
+            message: (fieldId) => t('validation.matches', { label: getFieldLabel(fieldId) })
+        },
+        after: {
+            test: (value, fieldId, context) => {
+                const otherValue = context.getValue(fieldId);
+                if (!value || !otherValue) return true;
+                return compareValues(value, otherValue) > 0;
+            },
+            message: (fieldId) => t('validation.after', { label: getFieldLabel(fieldId) })
         }
     };
 
@@ -68,120 +114,282 @@
             'booking-phone': ['phone'],
             'booking-service': ['required'],
             'booking-date': ['required', 'date'],
-            'booking-time': ['required'],
+            'booking-time': ['required', 'slotAvailable'], // booking.js swaps in a live availability check
             'booking-notes': ['maxLength:500']
         }
     };
 
+    // Forms marked with data-validate-form are discovered automatically and read
+    // their rules from field attributes, e.g. data-validate="required|minLength:2".
+    // FORM_CONFIGS entries override declarative rules field by field.
+    const FORM_SELECTOR = 'form[data-validate-form]';
+    const RULES_ATTRIBUTE = 'data-validate';
+
+    // Draft autosave (opt-in per form) - see drafts.js
+    // exclude lists field IDs that must never be written to localStorage.
+    // Declarative forms opt in with data-draft="<hours>" and data-draft-exclude on fields.
+    const DRAFT_CONFIGS = {
+        'contact-form': {
+            ttlHours: 72,
+            exclude: []
+        },
+        'booking-form': {
+            ttlHours: 24,
+            exclude: ['booking-notes', 'booking-time'] // Notes may hold health details, slots go stale
+        }
+    };
+
+    // Submit endpoints for forms posted by this script, declarative forms use data-endpoint
+    // (booking-form is submitted by booking.js through BOOKING_CONFIG.submitEndpoint)
+    const SUBMIT_ENDPOINTS = {
+        'contact-form': '/api/contact'
+    };
+
+    // Resolved rules for every registered form, keyed by form ID
+    const formConfigs = {};
+    let generatedIdCount = 0;
+
+    // Async checks in flight, keyed by field element
+    const pendingChecks = new WeakMap();
+
+    // Fields whose rules read another field's value, keyed by the field they read
+    const dependentFields = new WeakMap();
+
     /**
      * Initialize form validation
      */
     function init() {
         try {
-            setupFormValidation();
-            setupRealTimeValidation();
+            discoverForms().forEach(form => registerForm(form));
+            document.addEventListener('language:changed', revalidateShownErrors);
         } catch (error) {
             console.error('Error initializing form validation:', error);
         }
     }
 
     /**
-     * Setup form validation for all configured forms
+     * Re-run validation on fields currently showing an error so the message is in the new language
+     */
+    function revalidateShownErrors() {
+        Object.keys(formConfigs).forEach(formId => {
+            Object.keys(formConfigs[formId]).forEach(fieldId => {
+                const field = document.getElementById(fieldId);
+                if (field && field.getAttribute('aria-invalid') === 'true') {
+                    validateSpecificField(fieldId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Find forms configured in FORM_CONFIGS or marked for declarative validation
      */
-    function setupFormValidation() {
+    function discoverForms() {
+        const forms = Array.from(document.querySelectorAll(FORM_SELECTOR));
+
         Object.keys(FORM_CONFIGS).forEach(formId => {
             const form = document.getElementById(formId);
-            if (form) {
-                setupFormSubmitValidation(form, FORM_CONFIGS[formId]);
+            if (form && !forms.includes(form)) {
+                forms.push(form);
             }
         });
+
+        return forms;
+    }
+
+    /**
+     * Register a form for validation (also usable for forms added after page load)
+     * Returns the resolved field rules
+     */
+    function registerForm(formOrId, overrides = {}) {
+        const form = typeof formOrId === 'string' ? document.getElementById(formOrId) : formOrId;
+        if (!form) return null;
+
+        if (!form.id) {
+            form.id = `validated-form-${++generatedIdCount}`;
+        }
+
+        // Already set up - listeners must not be attached twice
+        if (formConfigs[form.id]) return formConfigs[form.id];
+
+        const config = {
+            ...readDeclarativeRules(form),
+            ...(FORM_CONFIGS[form.id] || {}),
+            ...overrides
+        };
+
+        formConfigs[form.id] = config;
+        setupFormSubmitValidation(form, config);
+        setupRealTimeValidation(form, config);
+        setupDrafts(form);
+
+        return config;
+    }
+
+    /**
+     * Read rules from data-validate attributes
+     */
+    function readDeclarativeRules(form) {
+        const config = {};
+
+        form.querySelectorAll(`[${RULES_ATTRIBUTE}]`).forEach(field => {
+            if (!field.id) {
+                field.id = `${form.id}-${field.name || ++generatedIdCount}`;
+            }
+
+            config[field.id] = field.getAttribute(RULES_ATTRIBUTE)
+                .split('|')
+                .map(rule => rule.trim())
+                .filter(Boolean);
+
+            ensureErrorElement(field);
+        });
+
+        return config;
+    }
+
+    /**
+     * Create the error message element for a declarative field if the markup has none
+     */
+    function ensureErrorElement(field) {
+        const errorId = `${field.id}-error`;
+        if (document.getElementById(errorId)) return;
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'form-error';
+        errorElement.id = errorId;
+        errorElement.setAttribute('aria-live', 'polite');
+        field.insertAdjacentElement('afterend', errorElement);
+
+        const describedBy = field.getAttribute('aria-describedby');
+        field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${errorId}` : errorId);
+    }
+
+    /**
+     * Enable draft autosave if the form opted in
+     */
+    function setupDrafts(form) {
+        if (!window.FormDrafts) return;
+
+        const options = DRAFT_CONFIGS[form.id] || getDeclarativeDraftOptions(form);
+        if (options) {
+            window.FormDrafts.enable(form, options);
+        }
+    }
+
+    /**
+     * Draft options from data-draft="<hours>", null when the form did not opt in
+     */
+    function getDeclarativeDraftOptions(form) {
+        if (!form.hasAttribute('data-draft')) return null;
+
+        const ttlHours = Number(form.dataset.draft);
+        return ttlHours > 0 ? { ttlHours } : {};
     }
 
     /**
      * Setup form submit validation
      */
     function setupFormSubmitValidation(form, config) {
+        // Disable HTML5 validation to use custom validation
+        form.setAttribute('novalidate', 'true');
+
+        // Forms submitted by another script (e.g. booking.js) call validateAndReport themselves
+        if (form.dataset.submitOwner) return;
+
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            
-            const isValid = validateForm(form, config);
-            
-            if (isValid) {
-                handleFormSubmission(form);
-            } else {
-                // Focus first invalid field
-                const firstInvalidField = form.querySelector('.form-input:invalid, .form-select:invalid, .form-textarea:invalid');
-                if (firstInvalidField) {
-                    firstInvalidField.focus();
-                }
-                
-                if (window.MainApp && window.MainApp.showToast) {
-                    window.MainApp.showToast('Please correct the errors below', 'error');
-                }
-            }
+
+            // Async rules from an earlier submit are still running
+            if (form.getAttribute('aria-busy') === 'true') return;
+            form.setAttribute('aria-busy', 'true');
+
+            Promise.resolve(validateForm(form, config))
+                .then((isValid) => {
+                    if (isValid) {
+                        handleFormSubmission(form);
+                    } else {
+                        reportInvalidForm(form);
+                    }
+                })
+                .finally(() => {
+                    form.removeAttribute('aria-busy');
+                });
         });
+    }
 
-        // Disable HTML5 validation to use custom validation
-        form.setAttribute('novalidate', 'true');
+    /**
+     * Focus the first invalid field and notify the user
+     */
+    function reportInvalidForm(form) {
+        const invalidFields = Array.from(form.querySelectorAll('[aria-invalid="true"]'));
+        if (invalidFields.length) {
+            invalidFields[0].focus();
+        }
+
+        // Field names only, never what was typed
+        track('form_validation_failed', {
+            form: form.id || null,
+            fields: invalidFields.map(field => field.name || field.id).join(',')
+        });
+        
+        if (window.MainApp && window.MainApp.showToast) {
+            window.MainApp.showToast(t('form.correctErrors'), 'error');
+        }
     }
 
     /**
      * Setup real-time validation
      */
-    function setupRealTimeValidation() {
-        Object.keys(FORM_CONFIGS).forEach(formId => {
-            const form = document.getElementById(formId);
-            if (!form) return;
-
-            const config = FORM_CONFIGS[formId];
-            
-            Object.keys(config).forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (!field) return;
+    function setupRealTimeValidation(form, config) {
+        Object.keys(config).forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (!field) return;
 
-                // Validate on blur for better UX
-                field.addEventListener('blur', () => {
-                    validateField(field, config[fieldId]);
-                });
+            // Validate on blur for better UX
+            field.addEventListener('blur', () => {
+                validateField(field, config[fieldId]);
+            });
 
-                // Clear errors on input for immediate feedback
-                field.addEventListener('input', () => {
-                    clearFieldError(field);
-                });
+            // Clear errors on input for immediate feedback
+            field.addEventListener('input', () => {
+                cancelPendingCheck(field);
+                clearFieldError(field);
             });
         });
     }
 
     /**
      * Validate entire form
+     * Returns a boolean, or a Promise of one when async rules are involved
      */
     function validateForm(form, config) {
-        let isValid = true;
-        
-        Object.keys(config).forEach(fieldId => {
+        const results = Object.keys(config).map(fieldId => {
             const field = document.getElementById(fieldId);
-            if (field) {
-                const fieldValid = validateField(field, config[fieldId]);
-                if (!fieldValid) {
-                    isValid = false;
-                }
-            }
+            return field ? validateField(field, config[fieldId]) : true;
         });
 
-        return isValid;
+        if (results.some(isThenable)) {
+            return Promise.all(results).then(values => values.every(Boolean));
+        }
+
+        return results.every(Boolean);
     }
 
     /**
      * Validate individual field
+     * Synchronous rules run first; async rules (declared with async: true or returning
+     * a Promise) only run once those pass. Returns a boolean, or a Promise of one.
      */
     function validateField(field, rules) {
-        const value = field.value;
-        let isValid = true;
-        let errorMessage = '';
-
-        // Clear existing errors
+        // A newer value makes any running check stale
+        cancelPendingCheck(field);
         clearFieldError(field);
 
+        const check = { controller: new AbortController(), promise: null };
+        const context = createRuleContext(field, check.controller.signal);
+        const asyncRules = [];
+
         // Run validation rules
         for (const rule of rules) {
             const [ruleName, ...params] = rule.split(':');
@@ -192,36 +400,197 @@
                 continue;
             }
 
-            let ruleValid;
-            if (params.length > 0) {
-                // Rule has parameters (e.g., minLength:5)
-                const param = params[0];
-                ruleValid = ruleConfig.test(value, param);
-                if (!ruleValid) {
-                    errorMessage = typeof ruleConfig.message === 'function' 
-                        ? ruleConfig.message(param)
-                        : ruleConfig.message;
+            if (ruleConfig.async) {
+                asyncRules.push({ ruleConfig, params });
+                continue;
+            }
+
+            const result = runRule(ruleConfig, field.value, params, context);
+
+            if (isThenable(result)) {
+                asyncRules.push({ ruleConfig, params, result });
+            } else if (!result) {
+                // Stop at first validation error
+                check.controller.abort();
+                showFieldError(field, getRuleMessage(ruleConfig, params, context));
+                return false;
+            }
+        }
+
+        if (!asyncRules.length) return true;
+
+        return runAsyncRules(field, asyncRules, context, check);
+    }
+
+    /**
+     * Run async rules in order and show the first failure
+     * A check replaced by a newer one resolves with the newer result
+     */
+    function runAsyncRules(field, asyncRules, context, check) {
+        pendingChecks.set(field, check);
+        setFieldPending(field, true);
+
+        check.promise = asyncRules
+            .reduce((chain, { ruleConfig, params, result }) => chain.then((errorMessage) => {
+                if (errorMessage || check.controller.signal.aborted) return errorMessage;
+
+                const pending = result || runRule(ruleConfig, field.value, params, context);
+                return Promise.resolve(pending).then(isValid => (
+                    isValid ? null : getRuleMessage(ruleConfig, params, context)
+                ));
+            }), Promise.resolve(null))
+            .catch((error) => {
+                // The server validates again, so an unreachable check must not block the user
+                if (!check.controller.signal.aborted) {
+                    console.warn(`Async validation failed for ${field.id}:`, error);
                 }
-            } else {
-                // Simple rule
-                ruleValid = ruleConfig.test(value);
-                if (!ruleValid) {
-                    errorMessage = ruleConfig.message;
+                return null;
+            })
+            .then((errorMessage) => {
+                if (pendingChecks.get(field) !== check) {
+                    const newerCheck = pendingChecks.get(field);
+                    return newerCheck ? newerCheck.promise : false;
                 }
-            }
 
-            if (!ruleValid) {
-                isValid = false;
-                break; // Stop at first validation error
+                pendingChecks.delete(field);
+                setFieldPending(field, false);
+
+                if (errorMessage) {
+                    showFieldError(field, errorMessage);
+                    return false;
+                }
+
+                return true;
+            });
+
+        return check.promise;
+    }
+
+    /**
+     * Abort a running async check for a field
+     */
+    function cancelPendingCheck(field) {
+        const check = pendingChecks.get(field);
+        if (!check) return;
+
+        pendingChecks.delete(field);
+        check.controller.abort();
+        setFieldPending(field, false);
+    }
+
+    /**
+     * Toggle the "checking" state while async rules run
+     */
+    function setFieldPending(field, isPending) {
+        field.classList.toggle('validating', isPending);
+
+        const formGroup = field.closest('.form-group');
+        if (formGroup) {
+            formGroup.classList.toggle('is-validating', isPending);
+        }
+    }
+
+    /**
+     * Call a rule test: test(value, firstParam, context)
+     * context holds all params, the field, its form, an abort signal and getValue(fieldId)
+     */
+    function runRule(ruleConfig, value, params, context) {
+        return ruleConfig.test(value, params[0], { ...context, params });
+    }
+
+    /**
+     * Resolve a rule message, which may be a function of the first param and context
+     * String messages are translated at display time and may use a {param} placeholder
+     */
+    function getRuleMessage(ruleConfig, params, context) {
+        return typeof ruleConfig.message === 'function'
+            ? ruleConfig.message(params[0], { ...context, params })
+            : t(ruleConfig.message, { param: params[0] });
+    }
+
+    /**
+     * Context passed to rule tests
+     */
+    function createRuleContext(field, signal) {
+        return {
+            field,
+            form: field.form,
+            signal,
+            getValue: (fieldId) => {
+                const otherField = document.getElementById(fieldId);
+                if (!otherField) return '';
+
+                trackDependency(otherField, field);
+                return otherField.value;
             }
+        };
+    }
+
+    /**
+     * Re-validate a field when a field its rules read changes (e.g. confirm email)
+     */
+    function trackDependency(source, dependent) {
+        let dependents = dependentFields.get(source);
+
+        if (!dependents) {
+            dependents = new Set();
+            dependentFields.set(source, dependents);
+            source.addEventListener('change', () => revalidateDependents(source));
         }
 
-        // Show error if validation failed
-        if (!isValid) {
-            showFieldError(field, errorMessage);
+        dependents.add(dependent.id);
+    }
+
+    /**
+     * Re-validate dependents the user has already filled in and seen validated
+     */
+    function revalidateDependents(source) {
+        dependentFields.get(source).forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field && field.value && field.hasAttribute('aria-invalid')) {
+                validateSpecificField(fieldId);
+            }
+        });
+    }
+
+    /**
+     * Compare two values numerically when both are numbers, otherwise as strings
+     * (ISO dates and HH:MM times sort correctly as strings)
+     */
+    function compareValues(a, b) {
+        if (a.trim() !== '' && b.trim() !== '' && !isNaN(a) && !isNaN(b)) {
+            return Number(a) - Number(b);
         }
 
-        return isValid;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /**
+     * Label text of a field for messages
+     */
+    function getFieldLabel(fieldId) {
+        const label = document.querySelector(`label[for="${fieldId}"]`);
+        return label ? label.textContent.replace('*', '').trim() : t('validation.otherField');
+    }
+
+    function isThenable(value) {
+        return Boolean(value) && typeof value.then === 'function';
+    }
+
+    /**
+     * Translate a message key (see i18n.js)
+     */
+    function t(key, params) {
+        return window.I18n ? window.I18n.t(key, params) : key;
+    }
+
+    /**
+     * Record an analytics event (see analytics.js)
+     */
+    function track(name, properties) {
+        if (window.Analytics) {
+            window.Analytics.track(name, properties);
+        }
     }
 
     /**
@@ -266,9 +635,25 @@
 
     /**
      * Handle form submission
+     * Forms without an endpoint fall back to a native submit to their action
      */
     function handleFormSubmission(form) {
-        const formId = form.id;
+        const endpoint = form.dataset.endpoint || SUBMIT_ENDPOINTS[form.id];
+
+        if (!endpoint || !window.FormSubmit) {
+            // submit() skips the submit event, so validation does not run again
+            if (form.getAttribute('action')) {
+                form.submit();
+                return;
+            }
+
+            console.warn(`Form "${form.id || form.name}" has no data-endpoint or action to submit to`);
+            if (window.MainApp && window.MainApp.showToast) {
+                window.MainApp.showToast(t('form.failed'), 'error');
+            }
+            return;
+        }
+
         const submitBtn = form.querySelector('button[type="submit"]');
         
         // Show loading state
@@ -281,82 +666,111 @@
         const formData = new FormData(form);
         const data = Object.fromEntries(formData);
 
-        // Simulate form submission (replace with actual API call)
-        setTimeout(() => {
-            // Hide loading state
-            if (submitBtn) {
-                submitBtn.classList.remove('loading');
-                submitBtn.disabled = false;
-            }
-
-            if (formId === 'contact-form') {
-                handleContactFormSuccess(form, data);
-            } else if (formId === 'booking-form') {
-                handleBookingFormSuccess(form, data);
-            }
-
-        }, 2000); // Simulate network delay
+        window.FormSubmit.send(endpoint, data, { idempotencyKey: window.FormSubmit.getFormKey(form) })
+            .then(() => {
+                handleFormSuccess(form);
+            })
+            .catch((error) => {
+                handleFormSubmissionError(form, error);
+            })
+            .finally(() => {
+                // Hide loading state
+                if (submitBtn) {
+                    submitBtn.classList.remove('loading');
+                    submitBtn.disabled = false;
+                }
+            });
     }
 
     /**
-     * Handle contact form success
+     * Handle successful form submission
+     * Declarative forms can set their own message with data-success-message
      */
-    function handleContactFormSuccess(form, data) {
+    function handleFormSuccess(form) {
         if (window.MainApp && window.MainApp.showToast) {
-            window.MainApp.showToast('Message sent successfully! We\'ll get back to you soon.');
+            const message = form.dataset.successMessage || t('form.sent');
+            window.MainApp.showToast(message);
         }
 
-        // Log form data (replace with actual submission to your backend)
-        console.log('Contact form submitted:', data);
-
-        // Reset form
+        // Reset form and forget the saved draft and submission key
         form.reset();
+        window.FormSubmit.clearFormKey(form);
+
+        if (window.FormDrafts) {
+            window.FormDrafts.clear(form.id);
+        }
         
         // Clear any remaining error states
-        const errorElements = form.querySelectorAll('.form-error.show');
-        errorElements.forEach(el => el.classList.remove('show'));
-        
-        const errorFields = form.querySelectorAll('.form-input.error, .form-select.error, .form-textarea.error');
-        errorFields.forEach(field => {
-            field.classList.remove('error');
-            field.setAttribute('aria-invalid', 'false');
-        });
+        resetFormValidation(form.id);
     }
 
     /**
-     * Handle booking form success
+     * Handle failed form submission
      */
-    function handleBookingFormSuccess(form, data) {
+    function handleFormSubmissionError(form, error) {
+        console.error(`Error submitting ${form.id}:`, error);
+
+        if (error.fieldErrors) {
+            showServerErrors(form, error.fieldErrors);
+        }
+
         if (window.MainApp && window.MainApp.showToast) {
-            window.MainApp.showToast('Booking request submitted! We\'ll contact you to confirm your appointment.');
+            if (error.fieldErrors) {
+                window.MainApp.showToast(t('form.correctErrors'), 'error');
+            } else {
+                window.MainApp.showToast(t('form.failed'), 'error', {
+                    actions: [{ label: t('toast.retry'), onClick: () => form.requestSubmit() }]
+                });
+            }
         }
+    }
+
+    /**
+     * Show errors returned by the server
+     * Keys are field names (or IDs), values are error messages
+     */
+    function showServerErrors(form, errors) {
+        let firstErrorField = null;
 
-        // Log form data (replace with actual submission to your backend)
-        console.log('Booking form submitted:', data);
+        Object.keys(errors).forEach(key => {
+            const field = form.elements.namedItem(key) || document.getElementById(key);
+            if (!field || !field.id) return;
 
-        // Reset form
-        form.reset();
-        
-        // Reset date minimum to today
-        const dateInput = form.querySelector('#booking-date');
-        if (dateInput) {
-            const today = new Date().toISOString().split('T')[0];
-            dateInput.min = today;
+            showFieldError(field, errors[key]);
+            firstErrorField = firstErrorField || field;
+        });
+
+        if (firstErrorField) {
+            firstErrorField.focus();
         }
     }
 
     /**
      * Add custom validation rule
+     * testFunction(value, param, context) may return a boolean or a Promise of one;
+     * context has params, field, form, signal (aborted when the check goes stale) and getValue(fieldId).
+     * message is a string or i18n key, a function, or translations like { ka: '...', en: '...' }.
+     * Options: async (run only after synchronous rules pass)
      */
-    function addValidationRule(name, testFunction, message) {
+    function addValidationRule(name, testFunction, message, options = {}) {
+        if (message && typeof message === 'object' && window.I18n) {
+            const key = `validation.${name}`;
+            Object.keys(message).forEach(lang => {
+                window.I18n.addMessages(lang, { [key]: message[lang] });
+            });
+            message = key;
+        }
+
         VALIDATION_RULES[name] = {
             test: testFunction,
-            message: message
+            message: message,
+            async: Boolean(options.async)
         };
     }
 
     /**
      * Validate specific field programmatically
+     * Returns a boolean, or a Promise of one when the field has async rules
      */
     function validateSpecificField(fieldId) {
         const field = document.getElementById(fieldId);
@@ -366,10 +780,10 @@
         let fieldConfig = null;
         let formConfig = null;
         
-        Object.keys(FORM_CONFIGS).forEach(formId => {
-            if (FORM_CONFIGS[formId][fieldId]) {
-                fieldConfig = FORM_CONFIGS[formId][fieldId];
-                formConfig = FORM_CONFIGS[formId];
+        Object.keys(formConfigs).forEach(formId => {
+            if (formConfigs[formId][fieldId]) {
+                fieldConfig = formConfigs[formId][fieldId];
+                formConfig = formConfigs[formId];
             }
         });
 
@@ -383,10 +797,11 @@
 
     /**
      * Validate specific form programmatically
+     * Returns a boolean, or a Promise of one when the form has async rules
      */
     function validateSpecificForm(formId) {
         const form = document.getElementById(formId);
-        const config = FORM_CONFIGS[formId];
+        const config = formConfigs[formId];
         
         if (!form || !config) {
             console.warn(`Form or config not found: ${formId}`);
@@ -396,6 +811,36 @@
         return validateForm(form, config);
     }
 
+    /**
+     * Validate form and report errors to the user, used by scripts that own form submission
+     * Pass fieldIds to validate only part of the form (e.g. one step of a wizard)
+     * Always returns a Promise so async rules are awaited before submitting
+     */
+    function validateAndReport(formId, fieldIds) {
+        const form = document.getElementById(formId);
+        const config = formConfigs[formId];
+        
+        if (!form || !config) {
+            console.warn(`Form or config not found: ${formId}`);
+            return Promise.resolve(false);
+        }
+
+        const scopedConfig = {};
+        Object.keys(config).forEach(fieldId => {
+            if (!fieldIds || fieldIds.includes(fieldId)) {
+                scopedConfig[fieldId] = config[fieldId];
+            }
+        });
+
+        return Promise.resolve(validateForm(form, scopedConfig)).then((isValid) => {
+            if (!isValid) {
+                reportInvalidForm(form);
+            }
+
+            return isValid;
+        });
+    }
+
     /**
      * Reset form validation state
      */
@@ -403,6 +848,9 @@
         const form = document.getElementById(formId);
         if (!form) return;
 
+        // Stale async checks must not show errors after the reset
+        Array.from(form.elements).forEach(cancelPendingCheck);
+
         // Clear all error states
         const errorElements = form.querySelectorAll('.form-error.show');
         errorElements.forEach(el => el.classList.remove('show'));
@@ -422,7 +870,10 @@
         addValidationRule,
         validateField: validateSpecificField,
         validateForm: validateSpecificForm,
-        resetValidation: resetFormValidation
+        validateAndReport,
+        resetValidation: resetFormValidation,
+        registerForm,
+        showServerErrors
     };
 
     // Initialize when DOM is ready